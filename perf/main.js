@@ -34,9 +34,34 @@ $(document).ready(function() {
                 cb(id);
             }
         });
+        // a do-nothing notification handler, for measuring the cost of dispatch
+        c.bind("noop", function() { });
         channels[id] = { chan: c, ready: false };
     }
 
+    // a timer, in milliseconds, as precise as we can get
+    function now() {
+        return (window.performance && window.performance.now) ? window.performance.now() : new Date().getTime();
+    }
+
+    // hand the page's message handler 'count' messages from the channels' iframes, round robin,
+    // and return the average time it took per message in microseconds.  message events are
+    // dispatched synchronously, so this is the cost of getting a message to (or past) its channel.
+    function dispatchCost(count, dataFor) {
+        var sources = [ ];
+        for (var k in channels) {
+            if (channels.hasOwnProperty(k)) {
+                sources.push({ data: dataFor(k), win: document.getElementById("childIFrame_" + k).contentWindow });
+            }
+        }
+        var startTime = now();
+        for (var i = 0; i < count; i++) {
+            var s = sources[i % sources.length];
+            window.dispatchEvent(new MessageEvent("message", { data: s.data, origin: "null", source: s.win }));
+        }
+        return ((now() - startTime) * 1000 / count).toFixed(2);
+    }
+
     function log(msg) {
         var n = $("#outputArea");
         n.text(n.text() + msg + "\r\n");
@@ -77,4 +102,22 @@ $(document).ready(function() {
             }});
         }
     });
+
+    $("#dispatchForm button").click(function(e) {
+        e.preventDefault();
+        if (typeof MessageEvent !== "function") {
+            log("This browser can't construct message events");
+            return;
+        }
+        var num = parseInt($.trim($("#dispatchForm input").val()));
+        log("Dispatching " + num + " messages to " + numChannels() + " channels");
+        var cost = dispatchCost(num, function(id) {
+            return JSON.stringify({ jschannel: 1, method: id + "::noop", params: "foo" });
+        });
+        log("jschannel notifications: " + cost + "us per message");
+        cost = dispatchCost(num, function(id) {
+            return JSON.stringify({ event: "analytics", id: id, method: "track" });
+        });
+        log("someone else's messages: " + cost + "us per message");
+    });
 });
\ No newline at end of file
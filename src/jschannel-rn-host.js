@@ -0,0 +1,122 @@
+/*
+ * jschannel-rn-host is the native app side of a jschannel running inside a
+ * React Native WebView.  Web content talks to the app through
+ * window.ReactNativeWebView.postMessage(), which the app receives through
+ * the onMessage prop of <WebView>, and the app talks back through the
+ * WebView's postMessage() (or, failing that, injectJavaScript()).
+ *
+ * This module wraps both halves of that plumbing in a jschannel transport,
+ * so the app gets the very same bind/call/notify API, wire format, ready
+ * handshake and scoping rules as the web content:
+ *
+ *   var bridge = ChannelHost.bridge(webViewRef);
+ *
+ *   <WebView ref={webViewRef} onMessage={bridge.onMessage} ... />
+ *
+ *   var chan = bridge.build({ scope: "widget" });
+ *   chan.call({ method: "getHoldings" }).then(...);
+ *
+ * Any number of channels, with different scopes, may be built on a single
+ * bridge.
+ */
+
+;var ChannelHost = (function() {
+    "use strict";
+
+    // the core, from a module system if there is one, otherwise from the page
+    var Channel = (typeof require === 'function') ? require('./jschannel') : self.Channel;
+
+    // figure out the WebView from what we were handed: the WebView itself, a ref to it
+    // ({ current: webView }), or a function returning it.
+    function s_resolveWebView(target) {
+        var webView = (typeof target === 'function') ? target() : target;
+        if (webView && typeof webView.postMessage !== 'function' && typeof webView.injectJavaScript !== 'function' &&
+            typeof webView.current !== 'undefined') {
+            webView = webView.current;
+        }
+        return webView;
+    }
+
+    // post a message into the web content.  messages posted through WebView.postMessage() arrive in
+    // the page as message events without a source window, which is what jschannel expects of the app.
+    function s_post(webView, data) {
+        if (typeof webView.postMessage === 'function') {
+            webView.postMessage(data);
+        } else {
+            // JSON.stringify gives us a javascript string literal, save for two line terminators
+            var literal = JSON.stringify(data).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+            webView.injectJavaScript("window.dispatchEvent(new MessageEvent('message', { data: " + literal + " })); true;");
+        }
+    }
+
+    /* create a bridge to the web content of a WebView.  'target' is the WebView, a ref to
+     * it or a function returning it.  It's only looked up when messages are sent, so the
+     * bridge may be created before the WebView is mounted.
+     *
+     * The bridge has the following members:
+     *
+     *   onMessage(event) - to be passed as the onMessage prop of the WebView.
+     *   build(cfg)       - build a channel to the web content.  cfg is as for
+     *                      Channel.build(), minus the window, port and transport.
+     *   transport()      - create a bare transport, for use with Channel.build().
+     */
+    function bridge(target) {
+        if (!target || (typeof target !== 'object' && typeof target !== 'function')) throw ("ChannelHost.bridge() called without a valid WebView argument");
+
+        // receivers of the transports built on this bridge, one per channel
+        var receivers = [ ];
+        var host;
+
+        var transport = function() {
+            var receiver = null;
+            return {
+                origin: '*',
+                // all the transports of a bridge reach the same web content, so as on the web
+                // side, only one channel may be bound to each scope
+                source: host,
+                send: function(data) {
+                    var webView = s_resolveWebView(target);
+                    if (!webView) throw "the WebView is not available";
+                    s_post(webView, data);
+                },
+                onReceive: function(handler) {
+                    receiver = handler;
+                    receivers.push(receiver);
+                },
+                close: function() {
+                    for (var i = 0; i < receivers.length; i++) {
+                        if (receivers[i] === receiver) receivers.splice(i, 1);
+                    }
+                }
+            };
+        };
+
+        host = {
+            onMessage: function(event) {
+                var data = (event && event.nativeEvent) ? event.nativeEvent.data : undefined;
+                if (typeof data !== 'string') return;
+                // every channel gets to look at the message, they pick out what matches their scope
+                var rs = receivers.slice();
+                for (var i = 0; i < rs.length; i++) rs[i](data, { origin: '*' });
+            },
+            build: function(cfg) {
+                if (typeof cfg !== 'object' || cfg === null) throw ("ChannelHost build invoked without a config object");
+                var c = { };
+                for (var k in cfg) if (cfg.hasOwnProperty(k)) c[k] = cfg[k];
+                c.transport = transport();
+                return Channel.build(c);
+            },
+            transport: transport
+        };
+        return host;
+    }
+
+    return {
+        bridge: bridge
+    };
+})();
+
+// Add export for environments that support it (like Node.js or bundlers)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChannelHost;
+}
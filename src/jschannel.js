@@ -13,97 +13,350 @@
  * problem of inter-iframe RPC.
  *
  * Message types:
- *  There are 5 types of messages that can flow over this channel,
+ *  There are 6 types of messages that can flow over this channel,
  *  and you may determine what type of message an object is by
  *  examining its parameters:
  *  1. Requests
- *    + integer id
+ *    + string (or integer) id
  *    + string method
  *    + (optional) any params
+ *    + (optional) integer deadline
+ *    + (optional) boolean stream
  *  2. Callback Invocations (or just "Callbacks")
- *    + integer id
+ *    + string (or integer) id
  *    + string callback
  *    + (optional) params
  *  3. Error Responses (or just "Errors)
- *    + integer id
+ *    + string (or integer) id
  *    + string error
  *    + (optional) string message
  *  4. Responses
- *    + integer id
+ *    + string (or integer) id
  *    + (optional) any result
  *  5. Notifications
  *    + string method
  *    + (optional) any params
+ *  6. Cancellations
+ *    + string (or integer) id
+ *    + string cancel
+ *  All of them are wrapped in an envelope, see s_envelope() below.
  */
 
 ;var Channel = (function() {
     "use strict";
 
-    // current transaction id, start out at a random *odd* number between 1 and a million
-    // There is one current transaction counter id per page, and it's shared between
-    // channel instances.  That means of all messages posted from a single javascript
-    // evaluation context, we'll never have two with the same id.
-    var s_curTranId = Math.floor(Math.random()*1000001);
+    // the global object of the context we're running in.  that's the window in a page, but
+    // there's no window (or document) inside a web worker, nor in node.  may be replaced
+    // using Channel.configure().
+    var s_global = (typeof window !== 'undefined') ? window :
+                   (typeof self !== 'undefined') ? self :
+                   (typeof globalThis !== 'undefined') ? globalThis : { };
 
-    // no two bound channels in the same javascript evaluation context may have the same origin, scope, and window.
-    // futher if two bound channels have the same window and scope, they may not have *overlapping* origins
-    // (either one or both support '*').  This restriction allows a single onMessage handler to efficiently
-    // route messages based on origin and scope.  The s_boundChans maps origins to scopes, to message
-    // handlers.  Request and Notification messages are routed using this table.
-    // Finally, channels are inserted into this table when built, and removed when destroyed.
-    var s_boundChans = { };
-    // add a channel to s_boundChans, throwing if a dup exists
-    function s_addBoundChan(win, origin, scope, handler) {
-        function hasWin(arr) {
-            // In RN WebView, 'win' might be the ReactNativeWebView object, not a WindowProxy
-            for (var i = 0; i < arr.length; i++) if (arr[i].win === win) return true;
-            return false;
+    // schemes which can't do without a host, and the ports they default to.  the platform leaves
+    // default ports out of origins, so we do too.
+    var s_specialSchemes = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443', 'ftp:': '21' };
+
+    // parse the inside of the brackets of an IPv6 address, returning it in the canonical form used
+    // in origins (lowercase hex, no leading zeros, the longest run of zeros compressed), or null.
+    function s_parseIPv6(str) {
+        var halves = str.split('::');
+        if (halves.length > 2) return null;
+        var groups = function(s) {
+            var out = [ ];
+            if (s === '') return out;
+            var parts = s.split(':');
+            for (var i = 0; i < parts.length; i++) {
+                var p = parts[i];
+                if (i === parts.length - 1 && p.indexOf('.') !== -1) {
+                    // an IPv4 address at the end
+                    var v4 = p.split('.');
+                    if (v4.length !== 4) return null;
+                    for (var j = 0; j < 4; j++) {
+                        if (!/^\d{1,3}$/.test(v4[j]) || parseInt(v4[j], 10) > 255) return null;
+                    }
+                    out.push(parseInt(v4[0], 10) * 256 + parseInt(v4[1], 10), parseInt(v4[2], 10) * 256 + parseInt(v4[3], 10));
+                } else if (/^[0-9a-fA-F]{1,4}$/.test(p)) {
+                    out.push(parseInt(p, 16));
+                } else {
+                    return null;
+                }
+            }
+            return out;
+        };
+        var head = groups(halves[0]), tail = (halves.length === 2) ? groups(halves[1]) : [ ];
+        if (!head || !tail) return null;
+        var missing = 8 - head.length - tail.length;
+        if ((halves.length === 2) ? missing < 1 : missing !== 0) return null;
+        var g = head;
+        while (missing--) g.push(0);
+        g = g.concat(tail);
+
+        // find the longest run of two or more zeros, the first one if there's a tie
+        var compress = -1, longest = 1, i;
+        for (i = 0; i < 8; i++) {
+            if (g[i] !== 0) continue;
+            var j = i;
+            while (j < 8 && g[j] === 0) j++;
+            if (j - i > longest) { compress = i; longest = j - i; }
+            i = j;
+        }
+        var out = '';
+        for (i = 0; i < 8; i++) {
+            if (i === compress) {
+                out += (i === 0) ? '::' : ':';
+                i += longest - 1;
+                continue;
+            }
+            out += g[i].toString(16);
+            if (i < 7) out += ':';
+        }
+        return out;
+    }
+
+    // parse an origin, as found in MessageEvent.origin or as written by people (who may leave a path
+    // on it).  that's a scheme, then a host name, IPv4 address or bracketed IPv6 address (which schemes
+    // like file: and app: can do without) and maybe a port.  returns the parts of the normalised origin,
+    // { origin: 'https://example.com:8443', scheme: 'https:', host: 'example.com', port: '8443' },
+    // or null if it's malformed.  when 'wildcard' is true the host may start with '*.', which then
+    // shows up as a true 'wildcard' member and is left off the host.
+    function s_parseOrigin(str, wildcard) {
+        var m = str.match(/^([a-zA-Z][-a-zA-Z0-9+.]*):\/\/(\[[^\]\/?#]*\]|[^\/?#:@\[\]]*)(?::(\d+))?(?:[\/?#].*)?$/);
+        if (!m) return null;
+        var scheme = m[1].toLowerCase() + ':', host = m[2].toLowerCase(), port = m[3] || '', isWild = false;
+
+        if (host.charAt(0) === '[') {
+            host = s_parseIPv6(host.substr(1, host.length - 2));
+            if (host === null) return null;
+            host = '[' + host + ']';
+        } else if (host.length) {
+            if (wildcard && host.substr(0, 2) === '*.') {
+                host = host.substr(2);
+                isWild = true;
+            }
+            var labels = host.split('.');
+            for (var i = 0; i < labels.length; i++) {
+                if (!/^[-a-z0-9_]+$/.test(labels[i])) return null;
+            }
+        } else if (s_specialSchemes.hasOwnProperty(scheme)) {
+            return null;
+        }
+
+        if (port.length) {
+            if (!host.length || parseInt(port, 10) > 65535) return null;
+            port = String(parseInt(port, 10));
+            if (s_specialSchemes[scheme] === port) port = '';
+        }
+
+        return {
+            origin: scheme + '//' + (isWild ? '*.' : '') + host + (port.length ? ':' + port : ''),
+            scheme: scheme,
+            host: host,
+            port: port,
+            wildcard: isWild
+        };
+    }
+
+    // origins, as given to Channel.build(), may be '*', an exact origin, a wildcard subdomain pattern
+    // such as 'https://*.example.com', a predicate function taking the origin of a message, or an
+    // array of any of those.  and 'null', for peers with an opaque origin, which only goes along with
+    // a channel secret.  s_parseOrigins() turns that into a list of entries: '*', 'null', an exact
+    // (normalised) origin, a { pattern, scheme, host, port } object, or a function.  null is returned
+    // if the origin is invalid.
+    function s_parseOrigins(origin) {
+        var list = s_isArray(origin) ? origin : [ origin ];
+        if (!list.length) return null;
+        var entries = [ ];
+        for (var i = 0; i < list.length; i++) {
+            var o = list[i], p;
+            if (typeof o === 'function') entries.push(o);
+            else if (typeof o !== 'string') return null;
+            // sandboxed frames have an opaque origin, which shows up as 'null'
+            else if (o === '*' || o === 'null') entries.push(o);
+            else if (null === (p = s_parseOrigin(o, true))) return null;
+            // a pattern matches any subdomain (at any depth) of the host, but not the host itself
+            else if (p.wildcard) entries.push({ pattern: p.origin, scheme: p.scheme, host: p.host, port: p.port });
+            else entries.push(p.origin);
         }
+        return entries;
+    }
 
-        // does she exist?
-        var exists = false;
+    // does a wildcard subdomain pattern match an exact origin?
+    function s_patternMatches(p, origin) {
+        var o = s_parseOrigin(origin, false);
+        if (!o || o.scheme !== p.scheme || o.port !== p.port) return false;
+        var suffix = '.' + p.host;
+        return o.host.length > suffix.length && o.host.substr(o.host.length - suffix.length) === suffix;
+    }
+
+    // does the origin of a message match any of the entries?
+    function s_matchOrigin(entries, origin) {
+        for (var i = 0; i < entries.length; i++) {
+            var e = entries[i];
+            if (e === '*') return true;
+            if (typeof origin !== 'string') continue;
+            if (typeof e === 'function') {
+                if (e(origin) === true) return true;
+            } else if (typeof e === 'string') {
+                if (e === origin) return true;
+            } else if (s_patternMatches(e, origin)) {
+                return true;
+            }
+        }
+        return false;
+    }
 
-        if (origin === '*') {
-            // we must check all other origins, sadly.
-            for (var k in s_boundChans) {
-                if (!s_boundChans.hasOwnProperty(k)) continue;
-                if (k === '*') continue;
-                if (typeof s_boundChans[k][scope] === 'object') {
-                    exists = hasWin(s_boundChans[k][scope]);
-                    if (exists) break;
+    // could a message match both lists of entries?  there's no telling what a predicate accepts,
+    // so like '*' it overlaps with everything.
+    function s_originsOverlap(a, b) {
+        for (var i = 0; i < a.length; i++) {
+            for (var j = 0; j < b.length; j++) {
+                var x = a[i], y = b[j];
+                if (x === '*' || y === '*' || typeof x === 'function' || typeof y === 'function') return true;
+                if (typeof x === 'string' && typeof y === 'string') {
+                    if (x === y) return true;
+                } else if (typeof x === 'string') {
+                    if (s_patternMatches(y, x)) return true;
+                } else if (typeof y === 'string') {
+                    if (s_patternMatches(x, y)) return true;
+                } else if (x.scheme === y.scheme && x.port === y.port) {
+                    // one pattern's host must be within the other's
+                    var hx = '.' + x.host, hy = '.' + y.host;
+                    if (hx.substr(hx.length - hy.length) === hy || hy.substr(hy.length - hx.length) === hx) return true;
                 }
             }
-        } else {
-            // we must check only '*'
-            if ((s_boundChans['*'] && s_boundChans['*'][scope])) {
-                exists = hasWin(s_boundChans['*'][scope]);
+        }
+        return false;
+    }
+
+    // a printable form of a list of entries, for error messages
+    function s_describeOrigins(entries) {
+        var parts = [ ];
+        for (var i = 0; i < entries.length; i++) {
+            var e = entries[i];
+            parts.push(typeof e === 'function' ? '<function>' : (typeof e === 'string') ? e : e.pattern);
+        }
+        return parts.join(', ');
+    }
+
+    // a map keyed by the windows (or other objects) messages come from.  it's a WeakMap where there
+    // is one, so that closed windows may be collected, and a list to search through elsewhere.
+    // messages posted into this window by a native host have no source, and are filed under null.
+    function s_sourceMap() {
+        var weak = (typeof WeakMap === 'function') ? new WeakMap() : null;
+        var keys = [ ], values = [ ], nullValue;
+        var indexOf = function(key) {
+            for (var i = 0; i < keys.length; i++) if (keys[i] === key) return i;
+            return -1;
+        };
+        return {
+            get: function(key) {
+                if (key === null) return nullValue;
+                if (weak) return weak.get(key);
+                var i = indexOf(key);
+                return (i === -1) ? undefined : values[i];
+            },
+            set: function(key, value) {
+                if (key === null) nullValue = value;
+                else if (weak) weak.set(key, value);
+                else {
+                    var i = indexOf(key);
+                    if (i === -1) { keys.push(key); values.push(value); }
+                    else values[i] = value;
+                }
+            },
+            remove: function(key) {
+                if (key === null) nullValue = undefined;
+                else if (weak) weak["delete"](key);
+                else {
+                    var i = indexOf(key);
+                    if (i !== -1) { keys.splice(i, 1); values.splice(i, 1); }
+                }
             }
-            // Check specific origin if '*' didn't match or doesn't exist
-            if (!exists && s_boundChans[origin] && s_boundChans[origin][scope])
-            {
-                exists = hasWin(s_boundChans[origin][scope]);
+        };
+    }
+
+    // does the object have any properties of its own?
+    function s_hasKeys(obj) {
+        for (var k in obj) if (obj.hasOwnProperty(k)) return true;
+        return false;
+    }
+
+    // is a list of entries from s_parseOrigins() nothing but exact origins?  those are looked up
+    // directly when checking for overlaps and routing messages, everything else is tried in turn.
+    function s_exactOrigins(origins) {
+        for (var i = 0; i < origins.length; i++) {
+            if (typeof origins[i] !== 'string' || origins[i] === '*') return false;
+        }
+        return true;
+    }
+
+    // no two bound channels in the same javascript evaluation context may have the same origin, scope, and window.
+    // futher if two bound channels have the same window and scope, they may not have *overlapping* origins
+    // (say one supports '*', or a pattern matching the other's origin).  This restriction guarantees that any
+    // Request or Notification message is handled by at most one channel.  The s_boundChans maps the windows
+    // (or other transport sources) channels are bound to, to their scopes, to the origins they accept: exact
+    // origins in 'exact', lists of anything else in 'other'.
+    // Finally, channels are inserted into this table when built, and removed when destroyed.
+    var s_boundChans = s_sourceMap();
+    // add a channel to s_boundChans, throwing if a dup exists.  'origins' is a list of entries
+    // from s_parseOrigins().
+    function s_addBoundChan(win, origins, scope) {
+        // 'win' is whatever the transport talks to, e.g. a WindowProxy or the ReactNativeWebView object
+        var scopes = s_boundChans.get(win);
+        if (!scopes) s_boundChans.set(win, scopes = { });
+        var bound = scopes.hasOwnProperty(scope) ? scopes[scope] : { exact: { }, other: [ ] };
+
+        var exists = false, i;
+        for (i = 0; i < bound.other.length && !exists; i++) exists = s_originsOverlap(bound.other[i], origins);
+        for (i = 0; i < origins.length && !exists; i++) {
+            var o = origins[i];
+            if (typeof o === 'string' && o !== '*') {
+                exists = bound.exact.hasOwnProperty(o);
+            } else if (typeof o === 'object') {
+                // a pattern, which we must check against every exact origin, sadly.
+                for (var k in bound.exact) {
+                    if (bound.exact.hasOwnProperty(k) && s_patternMatches(o, k)) { exists = true; break; }
+                }
+            } else {
+                // '*' or a predicate, which overlap with anything
+                exists = s_hasKeys(bound.exact);
             }
         }
-        if (exists) throw "A channel is already bound to the same window/interface which overlaps with origin '" + origin + "' and has scope '" + scope + "'";
-        
-        if (typeof s_boundChans[origin] != 'object') s_boundChans[origin] = { };
-        if (typeof s_boundChans[origin][scope] != 'object') s_boundChans[origin][scope] = [ ];
-        s_boundChans[origin][scope].push({win: win, handler: handler});
+        if (exists) throw "A channel is already bound to the same window/interface which overlaps with origin '" + s_describeOrigins(origins) + "' and has scope '" + scope + "'";
+
+        if (s_exactOrigins(origins)) {
+            for (i = 0; i < origins.length; i++) bound.exact[origins[i]] = true;
+        } else {
+            bound.other.push(origins);
+        }
+        scopes[scope] = bound;
     }
 
     // remove a channel from s_boundChans
-    function s_removeBoundChan(win, origin, scope) {
-        if (s_boundChans[origin] && s_boundChans[origin][scope]) {
-            var arr = s_boundChans[origin][scope];
-            for (var i = 0; i < arr.length; i++) {
-                if (arr[i].win === win) {
-                    arr.splice(i,1);
+    function s_removeBoundChan(win, origins, scope) {
+        var scopes = s_boundChans.get(win);
+        if (!scopes || !scopes.hasOwnProperty(scope)) return;
+        var bound = scopes[scope], i;
+        if (s_exactOrigins(origins)) {
+            for (i = 0; i < origins.length; i++) delete bound.exact[origins[i]];
+        } else {
+            for (i = 0; i < bound.other.length; i++) {
+                if (bound.other[i] === origins) {
+                    bound.other.splice(i, 1);
+                    break;
                 }
             }
-            if (arr.length === 0) {
-                delete s_boundChans[origin][scope];
-            }
         }
+        if (!s_hasKeys(bound.exact) && !bound.other.length) delete scopes[scope];
+        if (!s_hasKeys(scopes)) s_boundChans.remove(win);
+    }
+
+    // generate a random string of the given length, for use as a psuedo unique id
+    function s_randomId(len) {
+        var text = "";
+        var alpha = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+        for(var i=0; i < len; i++) text += alpha.charAt(Math.floor(Math.random() * alpha.length));
+        return text;
     }
 
     // check if is array helper
@@ -114,101 +367,905 @@
         }
     }
 
-    // No two outstanding outbound messages may have the same id, period.  Given that, a single table
-    // mapping "transaction ids" to message handlers, allows efficient routing of Callback, Error, and
-    // Response messages.  Entries are added to this table when requests are sent, and removed when
-    // responses are received.
-    var s_transIds = { };
+    // compare two secrets without bailing out at the first difference, so the time it takes
+    // doesn't give away how much of a guess was right
+    function s_secretsEqual(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+        var diff = 0;
+        for (var i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        return diff === 0;
+    }
 
-    // class singleton onMessage handler
-    // this function is registered once and all incoming messages route through here.  This
-    // arrangement allows certain efficiencies, message data is only parsed once and dispatch
-    // is more efficient, especially for large numbers of simultaneous channels.
-    var s_onMessage = function(e) {
-        var m;
-        try {
-            m = JSON.parse(e.data);
-            if (typeof m !== 'object' || m === null) throw "malformed";
-        } catch(e) {
-            // just ignore any posted messages that do not consist of valid JSON
+    // is the value usable as a message id?  we hand out strings, but any string or integer is fine
+    function s_isValidId(id) {
+        return (typeof id === 'string' && id.length > 0) ||
+               (typeof id === 'number' && isFinite(id) && Math.floor(id) === id);
+    }
+
+    // is the value a count of something, i.e. a positive integer?
+    function s_isCount(n) {
+        return typeof n === 'number' && n >= 1 && Math.floor(n) === n;
+    }
+
+    // run a function once the current tick is over: as a microtask where there are promises,
+    // otherwise as soon as a timer lets us.
+    function s_defer(fn) {
+        if (typeof Promise === 'function') Promise.resolve().then(fn);
+        else s_global.setTimeout(fn, 0);
+    }
+
+    // is the value an async iterator, as returned by an async generator function?
+    function s_isAsyncIterator(obj) {
+        return obj !== null && typeof obj === 'object' && typeof obj.next === 'function' &&
+               typeof Symbol === 'function' && !!Symbol.asyncIterator && typeof obj[Symbol.asyncIterator] === 'function';
+    }
+
+    // is the value a promise (or any other 'thenable')?
+    function s_isThenable(obj) {
+        return obj !== null && (typeof obj === 'object' || typeof obj === 'function') && typeof obj.then === 'function';
+    }
+
+    // map an exception raised (or a rejection reason produced) by a method handler to an
+    // [ error, message ] pair suitable for an error response:
+    // * if it's a string then it gets an error code of 'runtime_error' and string is the message
+    // * if it's an array of length two, then  array[0] is the code, array[1] is the error message
+    // * if it's an object then we'll look for error and message parameters
+    // * otherwise it's 'runtime_error' with whatever serialization of the exception we can manage
+    function s_mapException(e) {
+        var error = "runtime_error";
+        var message = null;
+        if (typeof e === 'string') {
+            message = e;
+        } else if (typeof e === 'object') {
+            // either an array or an object
+            if (e && s_isArray(e) && e.length == 2) {
+                error = e[0];
+                message = e[1];
+            }
+            else if (e && typeof e.error === 'string') {
+                error = e.error;
+                if (!e.message) message = "";
+                else if (typeof e.message === 'string') message = e.message;
+                else e = e.message; // let the stringify/toString message give us a reasonable verbose error string
+            }
+        }
+
+        // message is *still* null, let's try harder
+        if (message === null) {
+            try {
+                message = JSON.stringify(e);
+                /* On MSIE8, this can result in 'out of memory', which
+                 * leaves message undefined. */
+                if (typeof(message) == 'undefined')
+                  message = (e === null || e === undefined) ? String(e) : e.toString();
+            } catch (e2) {
+                message = (e === null || e === undefined) ? String(e) : e.toString();
+            }
+        }
+        return [ error, message ];
+    }
+
+    // build the object a promise returned from call() is rejected with.  it's an Error
+    // (so stack traces and instanceof work) carrying the wire level error code and message.
+    // without a message, the error code stands in for it.
+    function s_makeError(error, message) {
+        var e = new Error(typeof message === 'string' ? message : error);
+        e.error = error;
+        return e;
+    }
+
+    // encode a string as UTF-8, and back.  the platform does it where it can, React Native doesn't
+    // always have the means.
+    function s_utf8Encode(str) {
+        if (typeof s_global.TextEncoder === 'function') return new s_global.TextEncoder().encode(str);
+        var bytes = [ ];
+        for (var i = 0; i < str.length; i++) {
+            var c = str.charCodeAt(i);
+            if (c >= 0xD800 && c <= 0xDBFF && i + 1 < str.length) {
+                var d = str.charCodeAt(i + 1);
+                if (d >= 0xDC00 && d <= 0xDFFF) {
+                    c = 0x10000 + ((c - 0xD800) << 10) + (d - 0xDC00);
+                    i++;
+                }
+            }
+            // half a surrogate pair can't be encoded
+            if (c >= 0xD800 && c <= 0xDFFF) c = 0xFFFD;
+            if (c < 0x80) bytes.push(c);
+            else if (c < 0x800) bytes.push(0xC0 | (c >> 6), 0x80 | (c & 63));
+            else if (c < 0x10000) bytes.push(0xE0 | (c >> 12), 0x80 | ((c >> 6) & 63), 0x80 | (c & 63));
+            else bytes.push(0xF0 | (c >> 18), 0x80 | ((c >> 12) & 63), 0x80 | ((c >> 6) & 63), 0x80 | (c & 63));
+        }
+        return new Uint8Array(bytes);
+    }
+    function s_utf8Decode(bytes) {
+        if (typeof s_global.TextDecoder === 'function') return new s_global.TextDecoder().decode(bytes);
+        var chars = [ ], parts = [ ];
+        for (var i = 0; i < bytes.length; ) {
+            var b = bytes[i++], c;
+            if (b < 0x80) c = b;
+            else if (b >= 0xF0) c = ((b & 7) << 18) | ((bytes[i++] & 63) << 12) | ((bytes[i++] & 63) << 6) | (bytes[i++] & 63);
+            else if (b >= 0xE0) c = ((b & 15) << 12) | ((bytes[i++] & 63) << 6) | (bytes[i++] & 63);
+            else c = ((b & 31) << 6) | (bytes[i++] & 63);
+            if (c >= 0x10000) {
+                c -= 0x10000;
+                chars.push(0xD800 + (c >> 10), 0xDC00 + (c & 1023));
+            } else {
+                chars.push(c);
+            }
+            // String.fromCharCode() only takes so many arguments
+            if (chars.length >= 8192) {
+                parts.push(String.fromCharCode.apply(null, chars));
+                chars = [ ];
+            }
+        }
+        parts.push(String.fromCharCode.apply(null, chars));
+        return parts.join('');
+    }
+
+    // base64, for binary data on its way through transports that only carry strings
+    var s_base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    function s_toBase64(bytes) {
+        var out = [ ], i;
+        for (i = 0; i + 2 < bytes.length; i += 3) {
+            var n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+            out.push(s_base64Chars.charAt(n >> 18) + s_base64Chars.charAt((n >> 12) & 63) +
+                     s_base64Chars.charAt((n >> 6) & 63) + s_base64Chars.charAt(n & 63));
+        }
+        if (i < bytes.length) {
+            var rest = (bytes[i] << 16) | ((i + 1 < bytes.length) ? bytes[i + 1] << 8 : 0);
+            out.push(s_base64Chars.charAt(rest >> 18) + s_base64Chars.charAt((rest >> 12) & 63) +
+                     ((i + 1 < bytes.length) ? s_base64Chars.charAt((rest >> 6) & 63) : '=') + '=');
+        }
+        return out.join('');
+    }
+    // returns null if the string isn't base64
+    function s_fromBase64(str) {
+        if (typeof str !== 'string' || str.length % 4) return null;
+        var pad = (str.charAt(str.length - 1) === '=') ? ((str.charAt(str.length - 2) === '=') ? 2 : 1) : 0;
+        var bytes = new Uint8Array(str.length / 4 * 3 - pad), j = 0;
+        for (var i = 0; i < str.length; i += 4) {
+            var n = 0;
+            for (var k = 0; k < 4; k++) {
+                var c = str.charAt(i + k), v = s_base64Chars.indexOf(c);
+                if (c === '=' && i + 4 === str.length && k >= 4 - pad) v = 0;
+                else if (v < 0 || c === '') return null;
+                n = (n << 6) | v;
+            }
+            bytes[j++] = n >> 16;
+            if (j < bytes.length) bytes[j++] = (n >> 8) & 255;
+            if (j < bytes.length) bytes[j++] = n & 255;
+        }
+        return bytes;
+    }
+
+    // our own compression, where the platform has none: LZW, with codes growing from 9 to 16 bits
+    // wide as the dictionary fills, packed least significant bit first.  codes below 256 stand for
+    // themselves, 256 clears the dictionary once it's full.  the width of each code is set by the
+    // number of entries the encoder has in its dictionary at the time, which the decoder learns
+    // one code late.
+    function s_lzwWidth(entries) {
+        var width = 9;
+        while (width < 16 && entries > (1 << width)) width++;
+        return width;
+    }
+    function s_lzwEncode(bytes) {
+        var dict = { }, next = 257, out = [ ], acc = 0, bits = 0, prefix = -1;
+        var emit = function(code) {
+            acc |= code << bits;
+            bits += s_lzwWidth(next);
+            while (bits >= 8) {
+                out.push(acc & 255);
+                acc >>>= 8;
+                bits -= 8;
+            }
+        };
+        for (var i = 0; i < bytes.length; i++) {
+            var b = bytes[i];
+            if (prefix < 0) {
+                prefix = b;
+                continue;
+            }
+            var code = dict[prefix * 256 + b];
+            if (typeof code === 'number') {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (next < 65536) {
+                dict[prefix * 256 + b] = next++;
+            } else {
+                emit(256);
+                dict = { };
+                next = 257;
+            }
+            prefix = b;
+        }
+        if (prefix >= 0) emit(prefix);
+        if (bits) out.push(acc & 255);
+        return new Uint8Array(out);
+    }
+    // returns null if the data is corrupt, and false if it would decode to more than 'limit' bytes
+    function s_lzwDecode(bytes, limit) {
+        // an entry is the entry it extends (-1 for none), the byte it extends it with, its first
+        // byte and its length
+        var prefix = new Int32Array(65536), last = new Uint8Array(65536), first = new Uint8Array(65536), length = new Int32Array(65536);
+        for (var i = 0; i < 256; i++) {
+            prefix[i] = -1;
+            last[i] = first[i] = i;
+            length[i] = 1;
+        }
+        var out = new Uint8Array(Math.max(1024, bytes.length * 3)), outLength = 0;
+        var next = 257, prev = -1, acc = 0, bits = 0, pos = 0;
+        for (;;) {
+            var width = s_lzwWidth(prev < 0 ? next : next + 1);
+            while (bits < width && pos < bytes.length) {
+                acc |= bytes[pos++] << bits;
+                bits += 8;
+            }
+            if (bits < width) break;
+            var code = acc & ((1 << width) - 1);
+            acc >>>= width;
+            bits -= width;
+
+            if (code === 256) {
+                next = 257;
+                prev = -1;
+                continue;
+            }
+            if (code > next || (code === next && prev < 0) || (prev < 0 && code > 256)) return null;
+            if (prev >= 0 && next < 65536) {
+                prefix[next] = prev;
+                last[next] = (code === next) ? first[prev] : first[code];
+                first[next] = first[prev];
+                length[next] = length[prev] + 1;
+                next++;
+            }
+
+            // write the entry out, from its end
+            var n = length[code];
+            if (limit && outLength + n > limit) return false;
+            if (outLength + n > out.length) {
+                var grown = new Uint8Array(Math.max(out.length * 2, outLength + n));
+                grown.set(out);
+                out = grown;
+            }
+            for (var c = code, j = outLength + n - 1; c >= 0; c = prefix[c], j--) out[j] = last[c];
+            outLength += n;
+            prev = code;
+        }
+        return out.subarray(0, outLength);
+    }
+
+    // run bytes through a CompressionStream or DecompressionStream, passing what comes out (or an
+    // error) to cb.  output beyond 'limit' bytes, if given, is an error.
+    function s_pipeThrough(stream, bytes, limit, cb) {
+        var writer = stream.writable.getWriter(), reader = stream.readable.getReader();
+        var ignore = function() { };
+        writer.write(bytes).then(null, ignore);
+        writer.close().then(null, ignore);
+        var chunks = [ ], length = 0;
+        var pump = function() {
+            reader.read().then(function(r) {
+                if (r.done) {
+                    var out = new Uint8Array(length), pos = 0;
+                    for (var i = 0; i < chunks.length; i++) {
+                        out.set(chunks[i], pos);
+                        pos += chunks[i].length;
+                    }
+                    cb(null, out);
+                    return;
+                }
+                length += r.value.length;
+                if (limit && length > limit) {
+                    reader.cancel().then(null, ignore);
+                    cb('size');
+                    return;
+                }
+                chunks.push(r.value);
+                pump();
+            }, function() {
+                cb('invalid');
+            });
+        };
+        pump();
+    }
+
+    // the codecs messages can be compressed with, best first: gzip where the platform has
+    // CompressionStream, and our own LZW everywhere
+    function s_codecs() {
+        return (typeof s_global.CompressionStream === 'function' && typeof s_global.DecompressionStream === 'function') ?
+            [ 'gzip', 'lzw' ] : [ 'lzw' ];
+    }
+
+    // compress a string with one of s_codecs(), passing the result (base64) to cb.  on
+    // platforms with CompressionStream, cb is invoked asynchronously.
+    function s_compress(codec, str, cb) {
+        var bytes = s_utf8Encode(str);
+        if (codec === 'lzw') {
+            cb(null, s_toBase64(s_lzwEncode(bytes)));
             return;
         }
-        
-        var w, o, s, i, meth; // Initialize scope s to empty string by default
-        
-        if (window.ReactNativeWebView) {
-            o = '*'; // Origin isn't typically provided or meaningful in RNWebView postMessage
-            w = window.ReactNativeWebView; // The interface object acts as the 'window'
-            s = '';
+        s_pipeThrough(new s_global.CompressionStream(codec), bytes, 0, function(err, out) {
+            cb(err, err ? null : s_toBase64(out));
+        });
+    }
+
+    // and back again.  the error passed to cb is 'size' if the string would be longer than
+    // 'limit' bytes of UTF-8, or 'invalid'.
+    function s_decompress(codec, data, limit, cb) {
+        var bytes = s_fromBase64(data);
+        if (!bytes || s_codecs().indexOf(codec) < 0) {
+            cb('invalid');
+        } else if (codec === 'lzw') {
+            var out = s_lzwDecode(bytes, limit);
+            if (out === false) cb('size');
+            else if (!out) cb('invalid');
+            else cb(null, s_utf8Decode(out));
+        } else {
+            s_pipeThrough(new s_global.DecompressionStream(codec), bytes, limit, function(err, out) {
+                cb(err, err ? null : s_utf8Decode(out));
+            });
+        }
+    }
+
+    // copy what it takes to route and check a message to a frame carrying it in another form
+    // (compressed, or in chunks)
+    function s_copyRouting(msg, frame) {
+        var routing = [ 'id', 'method', 'from', 'to', 'secret' ];
+        for (var i = 0; i < routing.length; i++) {
+            if (typeof msg[routing[i]] !== 'undefined') frame[routing[i]] = msg[routing[i]];
+        }
+        return frame;
+    }
+
+    // tagged JSON serialization.  values JSON can't represent are replaced by an object tagging
+    // them with their type, { "$t": type, "v": value }, with the value in a form JSON can
+    // represent: dates as ISO strings, maps as arrays of key/value pairs, binary data in base64
+    // and so on.  objects which happen to have a "$t" member of their own are tagged as "Object",
+    // so there's no mistaking them for tags.  s_types holds types registered with
+    // Channel.registerType(), in s_typeNames in the order they were registered.
+    var s_types = { }, s_typeNames = [ ];
+    var s_typedArrays = (typeof Uint8Array === 'undefined') ? { } : {
+        Int8Array: Int8Array, Uint8Array: Uint8Array, Uint8ClampedArray: Uint8ClampedArray,
+        Int16Array: Int16Array, Uint16Array: Uint16Array, Int32Array: Int32Array, Uint32Array: Uint32Array,
+        Float32Array: Float32Array, Float64Array: Float64Array, DataView: DataView
+    };
+    if (typeof BigInt64Array !== 'undefined') {
+        s_typedArrays.BigInt64Array = BigInt64Array;
+        s_typedArrays.BigUint64Array = BigUint64Array;
+    }
+    var s_builtinTypes = [ 'undefined', 'Object', 'Number', 'BigInt', 'Date', 'Map', 'Set', 'ArrayBuffer' ];
+
+    // set a member of an object, even one named __proto__
+    function s_setMember(obj, k, v) {
+        if (k === '__proto__') Object.defineProperty(obj, k, { value: v, enumerable: true, writable: true, configurable: true });
+        else obj[k] = v;
+    }
+
+    // returns the value in a form JSON.stringify() will do justice to.  'seen' holds the objects
+    // we're inside of.
+    function s_encodeTagged(value, seen) {
+        switch (typeof value) {
+        case 'undefined':
+            return { $t: 'undefined' };
+        case 'bigint':
+            return { $t: 'BigInt', v: value.toString() };
+        case 'number':
+            if (isFinite(value) && (value !== 0 || 1 / value > 0)) return value;
+            return { $t: 'Number', v: (value === 0) ? '-0' : String(value) };
+        case 'function':
+        case 'symbol':
+            // left to JSON, which drops them
+            return undefined;
+        case 'object':
+            if (value === null) return null;
+            break;
+        default:
+            return value;
+        }
+
+        for (var i = 0; i < s_typeNames.length; i++) {
+            var type = s_types[s_typeNames[i]];
+            if (type.test(value)) return { $t: s_typeNames[i], v: s_encodeTagged(type.encode(value), seen) };
+        }
+        // by the name of their class, which unlike instanceof works across windows
+        var kind = Object.prototype.toString.call(value).slice(8, -1);
+        if (kind === 'Date') return { $t: 'Date', v: isNaN(value.getTime()) ? null : value.toISOString() };
+        if (kind === 'ArrayBuffer') return { $t: 'ArrayBuffer', v: s_toBase64(new Uint8Array(value)) };
+        if (s_typedArrays.hasOwnProperty(kind) && ArrayBuffer.isView(value)) {
+            return { $t: kind, v: s_toBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+        }
+
+        if (seen.indexOf(value) >= 0) throw "cannot serialize a recursive data structure";
+        seen.push(value);
+        var out;
+        if (kind === 'Map' || kind === 'Set') {
+            var entries = [ ];
+            value.forEach(function(v, k) {
+                entries.push((kind === 'Map') ? [ s_encodeTagged(k, seen), s_encodeTagged(v, seen) ] : s_encodeTagged(v, seen));
+            });
+            out = { $t: kind, v: entries };
+        } else if (s_isArray(value)) {
+            out = [ ];
+            for (i = 0; i < value.length; i++) out.push(s_encodeTagged(value[i], seen));
+        } else if (typeof value.toJSON === 'function') {
+            out = s_encodeTagged(value.toJSON(), seen);
+        } else {
+            out = { };
+            for (var k in value) {
+                if (!value.hasOwnProperty(k)) continue;
+                var v = s_encodeTagged(value[k], seen);
+                if (typeof v !== 'undefined') s_setMember(out, k, v);
+            }
+            if (value.hasOwnProperty('$t')) out = { $t: 'Object', v: out };
+        }
+        seen.pop();
+        return out;
+    }
+
+    // and back again, in place.  tags we can't make out (say, of a type registered on the other end
+    // only) are left as they are.
+    function s_decodeTagged(value) {
+        if (typeof value !== 'object' || value === null) return value;
+        var i, k;
+        if (s_isArray(value)) {
+            for (i = 0; i < value.length; i++) value[i] = s_decodeTagged(value[i]);
+            return value;
+        }
+        if (typeof value.$t !== 'string') {
+            for (k in value) {
+                if (value.hasOwnProperty(k)) s_setMember(value, k, s_decodeTagged(value[k]));
+            }
+            return value;
+        }
+
+        var v = value.v, bytes;
+        try {
+            switch (value.$t) {
+            case 'undefined':
+                return undefined;
+            case 'Object':
+                for (k in v) {
+                    if (v.hasOwnProperty(k)) s_setMember(v, k, s_decodeTagged(v[k]));
+                }
+                return v;
+            case 'Number':
+                return Number(v);
+            case 'BigInt':
+                return (typeof BigInt === 'function') ? BigInt(v) : v;
+            case 'Date':
+                return new Date((v === null) ? NaN : v);
+            case 'Map':
+                var map = new Map();
+                for (i = 0; i < v.length; i++) map.set(s_decodeTagged(v[i][0]), s_decodeTagged(v[i][1]));
+                return map;
+            case 'Set':
+                var set = new Set();
+                for (i = 0; i < v.length; i++) set.add(s_decodeTagged(v[i]));
+                return set;
+            case 'ArrayBuffer':
+                bytes = s_fromBase64(v);
+                return bytes ? bytes.buffer : value;
+            }
+            if (s_typedArrays.hasOwnProperty(value.$t)) {
+                bytes = s_fromBase64(v);
+                return bytes ? new s_typedArrays[value.$t](bytes.buffer) : value;
+            }
+            if (s_types.hasOwnProperty(value.$t)) return s_types[value.$t].decode(s_decodeTagged(v));
+        } catch (e) {
+            // a value that's not what the tag says
+        }
+        return value;
+    }
+
+    // the version of the protocol we speak.  every message we post is wrapped in an envelope, that
+    // is, it holds a 'jschannel' member with the version as its very first member, so our messages
+    // are easily told apart from those of everybody else using postMessage on the page.
+    var s_protocolVersion = 1;
+    var s_envelopePrefix = '{"jschannel":' + s_protocolVersion + ',';
+
+    // wrap a message in the envelope
+    function s_envelope(msg) {
+        var env = { jschannel: s_protocolVersion };
+        for (var k in msg) if (msg.hasOwnProperty(k)) env[k] = msg[k];
+        return env;
+    }
+
+    // parse posted message data.  returns null for anything that isn't a jschannel message,
+    // otherwise an object holding the message, whether it arrived as a structured clone, and
+    // the scope and unscoped method name it was sent with (if any).  for a batch, an object
+    // holding a 'batch' array of those.  messages posted by a channel using tagged JSON
+    // serialization are left 'tagged', for the channel to decode if it's agreed to that.
+    // strings without the envelope are only parsed if 'unmarked' is true, for channels which
+    // may be talking to a peer speaking the protocol from before it.  those come back 'unmarked'.
+    function s_parseMessage(data, unmarked) {
+        var m, structured = false;
+        if (typeof data === 'string') {
+            // don't bother parsing strings that don't start out like the envelope
+            var enveloped = (data.substr(0, s_envelopePrefix.length) === s_envelopePrefix);
+            if (!enveloped && (!unmarked || data.charAt(0) !== '{')) return null;
+            try {
+                m = JSON.parse(data);
+                if (typeof m !== 'object' || m === null || s_isArray(m)) throw "malformed";
+            } catch(e) {
+                // just ignore any posted messages that do not consist of valid JSON
+                return null;
+            }
+            // such an older peer's message has no marker at all, and a method or an id.  anything
+            // else is somebody else's (or a version we don't speak).
+            if (!enveloped && (typeof m.jschannel !== 'undefined' || (typeof m.method !== 'string' && !s_isValidId(m.id)))) return null;
+        } else if (typeof data === 'object' && data !== null && !s_isArray(data) && data.jschannel === s_protocolVersion) {
+            // posted by a channel using structured clone serialization.  it's up to the channel
+            // to decide whether it accepts such messages.
+            m = data;
+            structured = true;
         } else {
-            o = e.origin;
-            w = e.source;
+            // numbers, blobs, other libraries' objects and what have you
+            return null;
+        }
+
+        // a batch of messages sent together, in the order they were posted
+        if (s_isArray(m.batch)) {
+            var batch = [ ];
+            for (var i = 0; i < m.batch.length; i++) {
+                var inner = m.batch[i];
+                if (typeof inner === 'object' && inner !== null && !s_isArray(inner)) batch.push(s_describeMessage(inner, structured, m.tagged));
+            }
+            return { batch: batch, structured: structured };
         }
 
-        if (typeof m.method === 'string') {
-            var ar = m.method.split('::');
+        var parsed = s_describeMessage(m, structured, m.tagged);
+        if (typeof data === 'string' && !enveloped) parsed.unmarked = true;
+        return parsed;
+    }
+
+    // work out the scope and unscoped method name of a message, for s_parseMessage()
+    function s_describeMessage(m, structured, tagged) {
+        var scope = '', method;
+
+        // cancellations (and acks) carry the scoped method name of the request they're about,
+        // and are routed just like requests
+        var scopedName = (typeof m.method === 'string') ? m.method : (typeof m.cancel === 'string') ? m.cancel : m.ack;
+        if (typeof scopedName === 'string') {
+            var ar = scopedName.split('::');
             if (ar.length == 2) {
-                s = ar[0];
-                meth = ar[1];
+                scope = ar[0];
+                method = ar[1];
             } else {
-                meth = m.method;
-            }
-        }
-
-        if (typeof m.id !== 'undefined') i = m.id;
-
-        // w is message source window
-        // o is message origin
-        // m is parsed message
-        // s is message scope
-        // i is message id (or undefined)
-        // meth is unscoped method name
-        // ^^ based on these factors we can route the message
-
-        // if it has a method it's either a notification or a request,
-        // route using s_boundChans
-        if (typeof meth === 'string') {
-            // Request or Notification
-            var delivered = false;
-            // Check specific origin first (standard behavior)
-            if (s_boundChans[o] && s_boundChans[o][s]) {
-                for (var j = 0; j < s_boundChans[o][s].length; j++) {
-                    // For RN, s_boundChans[...].win is ReactNativeWebView, w should match this.
-                    // For iframe, s_boundChans[...].win is contentWindow, w should be e.source.
-                    if (s_boundChans[o][s][j].win === w) {
-                        s_boundChans[o][s][j].handler(o, meth, m);
-
-                        delivered = true;
-                        break;
-                    }
-                }
+                method = scopedName;
             }
-            // If not delivered, check wildcard origin '*' (common for RNWebView)
-            if (!delivered && s_boundChans['*'] && s_boundChans['*'][s]) {
-                for (var j = 0; j < s_boundChans['*'][s].length; j++) {
-                    if (s_boundChans['*'][s][j].win === w) {
-                        s_boundChans['*'][s][j].handler(o, meth, m);
-                        break;
-                    }
+        }
+
+        return { m: m, structured: structured, tagged: (!structured && tagged === true), scope: scope, method: method };
+    }
+
+    // transports built on the page's 'message' event register a receiver function for the window
+    // they talk to, along with a route telling which messages it wants: the scope and origins of
+    // its channel, and the prefix of the channel's request ids.  s_routes maps source windows to
+    // an index of those: by scope, then by origin (exact origins in 'exact', anything else in
+    // 'other').  receivers without a route, in 'any', get every message.  Messages posted into
+    // this window by a native host (e.g. the app around a React Native WebView) have no source
+    // window, receivers for them are registered under null.
+    // the responses and callbacks to requests have no scope, they're routed by the id prefix of
+    // the channel which made the request, through s_idRoutes.  that's wherever they came from, so
+    // the channel gets to see (and report) one posted by a window it doesn't talk to.
+    var s_routes = s_sourceMap(), s_idRoutes = { }, s_receiverCount = 0;
+
+    // add (or remove) a function to the list under the given key of a table
+    function s_tableAdd(table, key, fn) {
+        if (!table.hasOwnProperty(key)) table[key] = [ ];
+        table[key].push(fn);
+    }
+    function s_tableRemove(table, key, fn) {
+        if (!table.hasOwnProperty(key)) return;
+        s_listRemove(table[key], fn);
+        if (!table[key].length) delete table[key];
+    }
+    function s_listRemove(list, fn) {
+        for (var i = 0; i < list.length; i++) {
+            if (list[i] === fn) {
+                list.splice(i, 1);
+                return;
+            }
+        }
+    }
+
+    function s_addReceiver(source, fn, route) {
+        s_listen();
+        s_receiverCount++;
+        var routes = s_routes.get(source);
+        if (!routes) s_routes.set(source, routes = { scopes: { }, any: [ ] });
+        if (!route) {
+            routes.any.push(fn);
+            return;
+        }
+        if (!routes.scopes.hasOwnProperty(route.scope)) routes.scopes[route.scope] = { exact: { }, other: [ ] };
+        var byOrigin = routes.scopes[route.scope];
+        if (s_exactOrigins(route.origins)) {
+            for (var i = 0; i < route.origins.length; i++) s_tableAdd(byOrigin.exact, route.origins[i], fn);
+        } else {
+            byOrigin.other.push(fn);
+        }
+        s_tableAdd(s_idRoutes, route.idPrefix, fn);
+    }
+
+    function s_removeReceiver(source, fn, route) {
+        var routes = s_routes.get(source);
+        if (!routes) return;
+        s_receiverCount--;
+        if (!route) {
+            s_listRemove(routes.any, fn);
+        } else {
+            var byOrigin = routes.scopes[route.scope];
+            if (byOrigin) {
+                if (s_exactOrigins(route.origins)) {
+                    for (var i = 0; i < route.origins.length; i++) s_tableRemove(byOrigin.exact, route.origins[i], fn);
+                } else {
+                    s_listRemove(byOrigin.other, fn);
                 }
+                if (!s_hasKeys(byOrigin.exact) && !byOrigin.other.length) delete routes.scopes[route.scope];
             }
+            s_tableRemove(s_idRoutes, route.idPrefix, fn);
         }
-        // otherwise it must have an id (or be poorly formed
-        else if (typeof i != 'undefined') {
-            if (s_transIds[i]) s_transIds[i](o, meth, m);
+        if (!routes.any.length && !s_hasKeys(routes.scopes)) s_routes.remove(source);
+    }
+
+    // the last event handled by s_onMessage.  listening on both the window and the document means
+    // we may see the same event twice, when a message dispatched on the document (as the Android
+    // React Native WebView does) bubbles up to the window.
+    var s_lastEvent = null;
+
+    // class singleton onMessage handler
+    // this function is registered once and all incoming messages route through here, to the
+    // receivers of transports bound to the window the message came from, or to the channel whose
+    // id a response carries.  the message is parsed once, here, and handed to just the receivers
+    // its scope, origin or id says it's for.  messages without the envelope are only worth
+    // parsing if they come from a window one of our channels talks to, which it's then up to.
+    var s_onMessage = function(e) {
+        if (e === s_lastEvent) return;
+        s_lastEvent = e;
+
+        var routes = s_routes.get(e.source || null);
+        if (!routes && !s_hasKeys(s_idRoutes)) return;
+        var parsed = s_parseMessage(e.data, !!routes);
+        if (parsed && parsed.batch) {
+            for (var i = 0; i < parsed.batch.length; i++) s_route(routes, e, parsed.batch[i]);
+        } else {
+            s_route(routes, e, parsed);
         }
     };
 
-    // Setup postMessage event listeners
-    // if (window.addEventListener) window.addEventListener('message', s_onMessage, false);
-    // else if (window.attachEvent) window.attachEvent('onmessage', s_onMessage);
-    
-    if (window.addEventListener) {
-        window.addEventListener('message', s_onMessage, false);
-        // Add document listener for Android WebView compatibility
-        document.addEventListener('message', s_onMessage, false); 
-    } else if (window.attachEvent) {
-        window.attachEvent('onmessage', s_onMessage);
+    // hand a message to the receivers it's for
+    function s_route(routes, e, parsed) {
+        var fns = routes ? routes.any : [ ];
+        if (parsed && typeof parsed.method === 'string') {
+            // requests, notifications and cancellations
+            if (routes && routes.scopes.hasOwnProperty(parsed.scope)) {
+                var byOrigin = routes.scopes[parsed.scope];
+                if (typeof e.origin === 'string' && byOrigin.exact.hasOwnProperty(e.origin)) fns = fns.concat(byOrigin.exact[e.origin]);
+                fns = fns.concat(byOrigin.other);
+            }
+        } else if (parsed && typeof parsed.m.id === 'string') {
+            // responses, errors and callbacks, for the channel whose id prefix they carry
+            var prefix = parsed.m.id.substr(0, parsed.m.id.lastIndexOf('-') + 1);
+            if (s_idRoutes.hasOwnProperty(prefix)) {
+                // a receiver listening to several windows is listed once for each of them
+                var byId = s_idRoutes[prefix];
+                fns = fns.slice();
+                for (var i = 0; i < byId.length; i++) if (fns.indexOf(byId[i]) < 0) fns.push(byId[i]);
+            }
+        }
+        // a copy, receivers may come and go while we're at it
+        if (routes && fns === routes.any) fns = fns.slice();
+        for (var j = 0; j < fns.length; j++) fns[j](e, parsed);
+    }
+
+    // Setup postMessage event listeners.  this happens the first time a channel needs them,
+    // so that merely loading jschannel where there's no window (e.g. in node) does no harm.
+    // s_listening is the global object the listeners are installed on.
+    var s_listening = null;
+    function s_listen() {
+        if (s_listening === s_global) return;
+        s_unlisten();
+        if (s_global.addEventListener) {
+            s_global.addEventListener('message', s_onMessage, false);
+            // Add document listener for Android WebView compatibility
+            if (s_global.document && s_global.document.addEventListener) s_global.document.addEventListener('message', s_onMessage, false);
+        } else if (s_global.attachEvent) {
+            s_global.attachEvent('onmessage', s_onMessage);
+        } else {
+            return;
+        }
+        s_listening = s_global;
+    }
+
+    function s_unlisten() {
+        if (!s_listening) return;
+        if (s_listening.removeEventListener) {
+            s_listening.removeEventListener('message', s_onMessage, false);
+            if (s_listening.document && s_listening.document.removeEventListener) s_listening.document.removeEventListener('message', s_onMessage, false);
+        } else if (s_listening.detachEvent) {
+            s_listening.detachEvent('onmessage', s_onMessage);
+        }
+        s_listening = null;
+    }
+
+    /* Transports carry serialized messages between the two ends of a channel.  A transport is
+     * an object with the following members:
+     *
+     *   send(data, transfer) - post a message.  'data' is a string, or when the channel uses
+     *                structured clone serialization an object.  'transfer' is an optional
+     *                array of Transferables to hand over along with it.
+     *   onReceive(handler, route) - start delivering inbound messages, by invoking
+     *                handler(data, info) for each.  'info' is optional, and may hold the
+     *                'origin' and 'source' the message came from, and the message as 'parsed'
+     *                by s_parseMessage().  'route' says which messages the channel wants, for
+     *                transports sharing a medium between channels: the channel's 'scope', its
+     *                'origins' (as from s_parseOrigins()) and the 'idPrefix' of its requests.
+     *   close()    - (optional) stop delivering messages, invoked when the channel is destroyed.
+     *   origin     - (optional) the origin of the other end, may be '*'.  Requests and
+     *                notifications from other origins are ignored.
+     *   source     - (optional) the object (e.g. a window) messages are sent to.  Two channels
+     *                may not share a source, scope and overlapping origins.
+     *   structuredClone - (optional) true if send() can carry objects rather than just strings.
+     *   bufferUntilReady - (optional) false if messages may be sent before the other end has
+     *                completed the ready handshake.
+     *   multiPeer  - (optional) true if messages sent reach any number of peers, rather than
+     *                a single other end.  Every message then says which peer sent it and,
+     *                unless it's meant for everybody, which peer it's for.
+     */
+
+    // a transport to another window (e.g. an iframe or the parent) using window.postMessage
+    function s_windowTransport(win, origin) {
+        if (!s_global.postMessage) throw("jschannel cannot run this browser, no postMessage");
+        if (!win || !win.postMessage) throw("Channel.build() called without a valid window argument");
+
+        /* we'd have to do a little more work to be able to run multiple channels that intercommunicate the same
+         * window...  Not sure if we care to support that */
+        if (s_global === win) throw("target window is same as present window -- not allowed");
+
+        // let's require that the client specify an origin.  if we just assume '*' we'll be
+        // propagating unsafe practices.  that would be lame.
+        var origins = s_parseOrigins(origin);
+        if (!origins) throw ("Channel.build() called with an invalid origin");
+        if (typeof origin === 'string' && typeof origins[0] === 'string') origin = origins[0];
+
+        // postMessage() wants a single origin to deliver to.  when we accept several we don't know
+        // which one the window is at until a message from it matches, so until then we post to '*'.
+        // that only ever happens with the ready handshake, which carries nothing of interest:
+        // everything else is held back until the other side has answered.
+        // there's no posting to an opaque origin at all, only to '*'.
+        var target = (typeof origins[0] === 'string' && origins.length === 1 && origins[0] !== 'null') ? origins[0] : '*';
+        var learnTarget = (target === '*' && origins[0] !== '*' && origins[0] !== 'null');
+
+        var receiver, route;
+        return {
+            origin: origin,
+            source: win,
+            structuredClone: true,
+            send: function(data, transfer) {
+                if (transfer && transfer.length) win.postMessage(data, target, transfer);
+                else win.postMessage(data, target);
+            },
+            onReceive: function(handler, r) {
+                receiver = function(e, parsed) {
+                    if (learnTarget && typeof e.origin === 'string' && e.origin !== 'null' && s_matchOrigin(origins, e.origin)) target = e.origin;
+                    handler(e.data, { origin: e.origin, source: e.source, parsed: parsed });
+                };
+                route = r;
+                s_addReceiver(win, receiver, route);
+            },
+            close: function() {
+                if (receiver) s_removeReceiver(win, receiver, route);
+                receiver = null;
+            }
+        };
+    }
+
+    // a transport to the native app hosting a React Native WebView.  messages from the app arrive
+    // without a source window (or, if the app injects calls to window.postMessage, from this very
+    // window), and neither their origin nor the one we post to is meaningful.  the app doesn't
+    // necessarily take part in the ready handshake, so messages are never held back.
+    function s_reactNativeTransport(bridge) {
+        if (!bridge || typeof bridge.postMessage !== 'function') throw ("ReactNativeWebView.postMessage is not a function");
+
+        var receiver, route;
+        return {
+            origin: '*',
+            source: bridge,
+            bufferUntilReady: false,
+            send: function(data) {
+                bridge.postMessage(data);
+            },
+            onReceive: function(handler, r) {
+                // the app posts messages without a source window (or, in some WebViews, from this very
+                // window).  those come from the bridge, anything else from wherever it came from.
+                receiver = function(e, parsed) {
+                    var source = (e.source && e.source !== s_global) ? e.source : bridge;
+                    handler(e.data, { origin: '*', source: source, parsed: parsed });
+                };
+                route = r;
+                s_addReceiver(null, receiver, route);
+                s_addReceiver(s_global, receiver, route);
+            },
+            close: function() {
+                if (!receiver) return;
+                s_removeReceiver(null, receiver, route);
+                s_removeReceiver(s_global, receiver, route);
+                receiver = null;
+            }
+        };
+    }
+
+    // a transport joining the BroadcastChannel with the given name, shared by any number of
+    // same-origin windows, frames and workers.
+    function s_broadcastTransport(name) {
+        if (typeof BroadcastChannel !== 'function') throw ("jschannel cannot run this browser, no BroadcastChannel");
+        if (!name || typeof name !== 'string') throw ("Channel.build() called with an invalid broadcast channel name");
+
+        var bus = new BroadcastChannel(name);
+        return {
+            structuredClone: true,
+            multiPeer: true,
+            send: function(data) {
+                bus.postMessage(data);
+            },
+            onReceive: function(handler) {
+                bus.onmessage = function(e) { handler(e.data, { origin: e.origin }); };
+            },
+            close: function() {
+                bus.close();
+            }
+        };
+    }
+
+    // a pair of transports connected to each other in memory, for running both ends of a
+    // channel in the same javascript evaluation context (e.g. in unit tests).  like postMessage,
+    // delivery is asynchronous.
+    function s_loopbackTransports() {
+        var ends = [ { }, { } ];
+        for (var i = 0; i < 2; i++) {
+            (function(self, other) {
+                self.send = function(data) {
+                    s_global.setTimeout(function() {
+                        if (other.handler) other.handler(data, { origin: '*' });
+                    }, 0);
+                };
+                self.onReceive = function(handler) { self.handler = handler; };
+                self.close = function() { self.handler = null; };
+            })(ends[i], ends[1 - i]);
+        }
+        return ends;
+    }
+
+    // a transport over a MessagePort.  messages can only come from whoever holds the other end
+    // of the port, so there's no need to check origins or to go through s_onMessage.  Dedicated
+    // workers (and the global scope inside one) have the very same interface, so this transport
+    // serves them as well.
+    function s_portTransport(port) {
+        if (!port || typeof port.postMessage !== 'function') throw ("Channel.build() called with an invalid port or worker argument");
+
+        var receiver;
+        return {
+            structuredClone: true,
+            send: function(data, transfer) {
+                port.postMessage(data, transfer || [ ]);
+            },
+            onReceive: function(handler) {
+                receiver = function(e) { handler(e.data, { origin: e.origin }); };
+                if (port.addEventListener) {
+                    port.addEventListener('message', receiver, false);
+                    if (typeof port.start === 'function') port.start();
+                } else {
+                    port.onmessage = receiver;
+                }
+            },
+            close: function() {
+                if (!receiver) return;
+                if (port.removeEventListener) port.removeEventListener('message', receiver, false);
+                else if (port.onmessage === receiver) port.onmessage = null;
+            }
+        };
     }
 
     /* a messaging channel is constructed from a window and an origin.
@@ -219,7 +1276,42 @@
      *
      *   cfg.window - the remote window with which we'll communicate
      *   cfg.origin - the expected origin of the remote window, may be '*'
-     *                which matches any origin
+     *                which matches any origin.  Also accepted are wildcard
+     *                subdomain patterns ('https://*.example.com'), a predicate
+     *                function which is handed the origin of each message and
+     *                returns true to accept it, or an array of any of those.
+     *                Transactions and notifications carry the actual origin
+     *                of the message in their 'origin' member.  'null', the
+     *                origin of sandboxed iframes, is only accepted along with a
+     *                secret.
+     *   cfg.secret - a secret string both ends of the channel are given, say
+     *                one from Channel.createSecret() passed in the fragment of
+     *                a sandboxed iframe's URL.  Every message carries it, and
+     *                messages without it are ignored.  Since a window with an
+     *                opaque origin can't be posted to specifically, messages to
+     *                it are posted to '*' and the secret is seen by whatever
+     *                document the window holds.
+     *   cfg.port   - a MessagePort to communicate over instead of a window.  The
+     *                channel listens on the port directly, so no origin is required
+     *                and no other script can observe or inject messages unless it
+     *                holds the other end of the port.
+     *   cfg.worker - a dedicated Worker to communicate with, or, inside a worker,
+     *                the worker's global scope ('self').  To talk to a SharedWorker
+     *                use its port as cfg.port.
+     *   cfg.broadcast - the name of a BroadcastChannel to join instead of talking
+     *                to a single window.  Every channel on the bus is a peer with
+     *                an id of its own, notifications go to all of them and calls
+     *                must name the 'peer' they're for.
+     *   cfg.peerId - this channel's peer id on a broadcast channel.  A random id
+     *                is used if it's not specified.
+     *   cfg.onPeerJoin - A function invoked with the id of a peer whenever one
+     *                joins a broadcast channel.
+     *   cfg.onPeerLeave - A function invoked with the id of a peer whenever one
+     *                leaves a broadcast channel.
+     *   cfg.transport - a transport object (see above) to communicate over instead
+     *                of a window or a port.  Inside a React Native WebView the
+     *                bridge to the app is used when neither is given.  Any number
+     *                of channels with different scopes may share the bridge.
      *   cfg.scope  - the 'scope' of messages.  a scope string that is
      *                prepended to message names.  local and remote endpoints
      *                of a single channel must agree upon scope. Scope may
@@ -227,9 +1319,9 @@
      *   cfg.debugOutput - A boolean value.  If true and window.console.log is
      *                a function, then debug strings will be emitted to that
      *                function.
-     *   cfg.debugOutput - A boolean value.  If true and window.console.log is
-     *                a function, then debug strings will be emitted to that
-     *                function.
+     *   cfg.defaultTimeout - the timeout in milliseconds applied to calls which
+     *                don't specify their own 'timeout'.  By default calls never
+     *                time out.
      *   cfg.postMessageObserver - A function that will be passed two arguments,
      *                an origin and a message.  It will be passed these immediately
      *                before messages are posted.
@@ -237,78 +1329,205 @@
      *                an origin and a message.  It will be passed these arguments
      *                immediately after they pass scope and origin checks, but before
      *                they are processed.
+     *   cfg.securityObserver - A function that will be passed three arguments,
+     *                an origin, a message and a reason, whenever a message is
+     *                rejected as a forgery: a response, error or callback claiming
+     *                to belong to one of our requests but coming from another
+     *                window ('source') or an origin we don't accept ('origin'), or
+     *                a message lacking the channel's secret ('secret').
+     *   cfg.serialization - either 'json' (the default), 'tagged' or 'structured'.  In
+     *                'structured' mode messages are posted as objects using the
+     *                structured clone algorithm, which preserves Dates, Maps,
+     *                typed arrays and so on, and allows Transferables to be passed
+     *                in the 'transfer' argument of call() and notify().  Both ends
+     *                must agree to use it, otherwise messages are sent as JSON.
+     *                Only available on transports able to carry objects, which
+     *                rules out a React Native WebView.  'tagged' mode gets
+     *                most of the way there with JSON strings: Dates, Maps, Sets,
+     *                BigInts, undefined, non-finite numbers and binary data (in
+     *                base64) are tagged with their type so they survive the trip,
+     *                along with types registered with Channel.registerType().
+     *                Here too, both ends must agree to it.
+     *   cfg.batching - A boolean value.  If true, messages posted in the same tick
+     *                (say, a stream of callback invocations) are sent together in
+     *                a single batch, so the other end gets one message event and
+     *                parses one message for all of them.  Only used if the other
+     *                end asks for it too, older ones get messages one at a time.
+     *   cfg.maxInFlight - The most requests the channel has waiting on the other end at
+     *                any time.  Further calls are queued, and sent as earlier ones
+     *                complete.  Unlimited by default.
+     *   cfg.creditWindow - The number of callback invocations (updates included) the
+     *                other end may send for a request before hearing back, the
+     *                default for the 'credits' argument of call() and stream().
+     *                A handler that gets ahead of its caller is held back: invoke()
+     *                and update() return false, and it's best to wait for onDrain().
+     *                Unlimited by default.
+     *   cfg.maxMessageSize - The length, in characters, of the longest message the
+     *                channel will post in one go.  Longer messages are split into
+     *                chunks which the other end puts back together, if it knows
+     *                how to (otherwise they're sent whole).  Must be at least
+     *                1024.  Messages aren't split by default.
+     *   cfg.chunkTimeout - The time, in milliseconds, the other end has to send all
+     *                the chunks of a message.  Defaults to 30 seconds.
+     *   cfg.maxReassemblySize - The total length, in characters, of the chunks of
+     *                partly received messages the channel will hold on to.  A
+     *                message which would take it past the limit is dropped.
+     *                Defaults to 32M.
+     *   cfg.onChunkProgress - A function that will be passed an object describing the
+     *                progress of a message being sent or received in chunks each
+     *                time a chunk goes out or comes in: 'transfer' (an id for the
+     *                message), 'direction' ('send' or 'receive'), 'id' and
+     *                'method' (those of the message, if it has them), 'chunks',
+     *                'count', 'loaded' and 'total' (characters).  When a
+     *                message can't be put back together 'error' holds the reason,
+     *                'timeout' or 'size'.
+     *   cfg.compressionThreshold - The length, in characters, above which messages
+     *                are compressed (before being split into chunks, if need be).
+     *                Compression uses gzip where both ends have CompressionStream,
+     *                and a pure javascript LZW otherwise.  Ends which don't know
+     *                about compression get messages as they are.  Messages aren't
+     *                compressed by default.
      *   cfg.onReady - A function that will be invoked when a channel becomes "ready",
      *                this occurs once both sides of the channel have been
      *                instantiated and an application level handshake is exchanged.
      *                the onReady function will be passed a single argument which is
      *                the channel object that was returned from build().
      */
-    return {
+    var s_channel = {
+        // the built-in transports, for use in composing custom ones
+        transports: {
+            window: s_windowTransport,
+            reactNativeWebView: s_reactNativeTransport,
+            port: s_portTransport,
+            worker: s_portTransport,
+            broadcast: s_broadcastTransport,
+            loopback: s_loopbackTransports
+        },
+        // replace the environment jschannel runs in.  cfg.global is the object used in place of
+        // the global 'window' (for postMessage, message events, timers and so on), e.g. a jsdom
+        // window when running in node.
+        configure: function(cfg) {
+            if (typeof cfg !== 'object' || cfg === null) throw ("Channel.configure() invoked without a config object");
+            if (typeof cfg.global !== 'undefined') {
+                if (typeof cfg.global !== 'object' || cfg.global === null) throw ("Channel.configure() called with an invalid global");
+                s_global = cfg.global;
+                // move the message listeners over, if any channel needs them
+                if (s_listening) {
+                    s_unlisten();
+                    if (s_receiverCount) s_listen();
+                }
+            }
+        },
+        // register a type to be carried by tagged JSON serialization (see cfg.serialization below)
+        // under the given name, which the other end must register it under too.  spec.type is the
+        // type's constructor, or spec.test a function telling whether a value is of the type.
+        // spec.encode turns a value of the type into something serializable, and spec.decode turns
+        // that back into a value.  types registered first are tried first.
+        registerType: function(name, spec) {
+            if (typeof name !== 'string' || !name.length) throw "Channel.registerType() called without a valid name";
+            if (s_builtinTypes.indexOf(name) >= 0 || s_typedArrays.hasOwnProperty(name) || s_types.hasOwnProperty(name)) throw "type '" + name + "' is already registered";
+            if (typeof spec !== 'object' || spec === null || typeof spec.encode !== 'function' || typeof spec.decode !== 'function' ||
+                (typeof spec.type !== 'function' && typeof spec.test !== 'function')) {
+                throw "Channel.registerType() requires encode and decode functions, and a type or test function";
+            }
+            s_types[name] = {
+                test: (typeof spec.test === 'function') ? spec.test : function(v) { return v instanceof spec.type; },
+                encode: spec.encode,
+                decode: spec.decode
+            };
+            s_typeNames.push(name);
+        },
+        // create a secret for a channel with a peer at an opaque ('null') origin.  it's to be handed
+        // to the peer when it's created, say in the fragment of the URL of a sandboxed iframe.
+        createSecret: function() {
+            var crypto = s_global.crypto;
+            if (!crypto || typeof crypto.getRandomValues !== 'function') throw "no secure random number generator available";
+            var bytes = crypto.getRandomValues(new Uint8Array(16)), secret = '';
+            for (var i = 0; i < bytes.length; i++) secret += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+            return secret;
+        },
+        // build two channels connected to each other in memory, with the given configurations
+        // (the second defaulting to the first).  returns an array holding both channels.
+        pair: function(cfgA, cfgB) {
+            var transports = s_loopbackTransports();
+            var chans = [ ];
+            var cfgs = [ cfgA || { }, cfgB || cfgA || { } ];
+            for (var i = 0; i < 2; i++) {
+                var cfg = { };
+                for (var k in cfgs[i]) if (cfgs[i].hasOwnProperty(k)) cfg[k] = cfgs[i][k];
+                cfg.transport = transports[i];
+                chans.push(s_channel.build(cfg));
+            }
+            return chans;
+        },
         build: function(cfg) {
             /* private variables */
             // generate a random and psuedo unique id for this channel
-            var chanId = (function () {
-                var text = "";
-                var alpha = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-                for(var i=0; i < 5; i++) text += alpha.charAt(Math.floor(Math.random() * alpha.length));
-                return text;
-            })();
+            var chanId = s_randomId(5);
+
+            // ids of our requests are a prefix random enough to be unique to this channel, followed
+            // by a counter.  so ids from the two ends of a channel (or many peers) never collide.
+            var idPrefix = s_randomId(12) + '-', nextTransId = 1;
 
             var debug = function(m) {
-                if (cfg.debugOutput && window.console && window.console.log) {
+                if (cfg.debugOutput && s_global.console && s_global.console.log) {
                     // try to stringify, if it doesn't work we'll let javascript's built in toString do its magic
                     try { if (typeof m !== 'string') m = JSON.stringify(m); } catch(e) { }
-                    console.log("["+chanId+"] " + m);
+                    s_global.console.log("["+chanId+"] " + m);
                 }
             };
 
-            var isReactNativeWebView = !!window.ReactNativeWebView;
-            
-            /* browser capabilities check */
-            if (isReactNativeWebView) {
-                // React Native WebView environment
-                if (!window.ReactNativeWebView.postMessage || typeof window.ReactNativeWebView.postMessage !== 'function') {
-                    throw ("ReactNativeWebView.postMessage is not a function");
-                }
-            } else {
-                // Standard iframe environment
-                if (!window.postMessage) throw("jschannel cannot run this browser, no postMessage");
-            }
-            
-            if (!window.JSON || !window.JSON.stringify || ! window.JSON.parse) {
+            if (!s_global.JSON || !s_global.JSON.stringify || ! s_global.JSON.parse) {
                 throw("jschannel cannot run this browser, no JSON parsing/serialization");
             }
 
             /* Basic argument validation */
             if (typeof cfg !== 'object' || cfg === null) throw ("Channel build invoked without a config object");
 
-            if (isReactNativeWebView) {
-                // React Native WebView environment
-                cfg.window = window.ReactNativeWebView;
-                cfg.origin = (typeof cfg.origin === 'string') ? cfg.origin : '*'; // Default to '*' for RN if not specified
-                // No window === cfg.window check for RN
+            var transport;
+            if (cfg.transport) {
+                transport = cfg.transport;
+                if (typeof transport.send !== 'function' || typeof transport.onReceive !== 'function') {
+                    throw ("Channel.build() called with an invalid transport argument");
+                }
+            } else if (cfg.port) {
+                transport = s_portTransport(cfg.port);
+            } else if (cfg.worker) {
+                transport = s_portTransport(cfg.worker);
+            } else if (cfg.broadcast) {
+                transport = s_broadcastTransport(cfg.broadcast);
+            } else if (s_global.ReactNativeWebView) {
+                transport = s_reactNativeTransport(s_global.ReactNativeWebView);
             } else {
-                // Standard iframe environment
-                if (!cfg.window || !cfg.window.postMessage) throw("Channel.build() called without a valid window argument");
+                transport = s_windowTransport(cfg.window, cfg.origin);
+            }
+            cfg.origin = (typeof transport.origin === 'undefined' || transport.origin === null) ? '*' : transport.origin;
+            var origins = s_parseOrigins(cfg.origin);
+            if (!origins) throw ("Channel.build() called with an invalid origin");
 
-                /* we'd have to do a little more work to be able to run multiple channels that intercommunicate the same
-                 * window...  Not sure if we care to support that */
-                if (window === cfg.window) throw("target window is same as present window -- not allowed");
+            // anything can have an opaque origin, so we'll only talk to one if it knows our secret
+            if (typeof cfg.secret !== 'undefined' && (typeof cfg.secret !== 'string' || !cfg.secret.length)) throw "secret, when specified, must be a non-empty string";
+            for (var i = 0; i < origins.length; i++) {
+                if (origins[i] === 'null' && typeof cfg.secret !== 'string') throw "a secret is required to accept the 'null' origin";
+            }
 
-                // let's require that the client specify an origin.  if we just assume '*' we'll be
-                // propagating unsafe practices.  that would be lame.
-                var validOrigin = false;
-                if (typeof cfg.origin === 'string') {
-                    var oMatch;
-                    if (cfg.origin === "*") validOrigin = true;
-                    // allow valid domains under http and https.  Also, trim paths off otherwise valid origins.
-                    else if (null !== (oMatch = cfg.origin.match(/^https?:\/\/(?:[-a-zA-Z0-9_\.])+(?::\d+)?/))) {
-                        cfg.origin = oMatch[0].toLowerCase();
-                        validOrigin = true;
-                    }
-                }
+            if (typeof cfg.serialization !== 'undefined') {
+                if (cfg.serialization !== 'json' && cfg.serialization !== 'structured' && cfg.serialization !== 'tagged') throw "serialization, when specified, must be 'json', 'tagged' or 'structured'";
+                if (cfg.serialization === 'structured' && !transport.structuredClone) throw "structured serialization is not supported by this transport";
+            }
+            if (typeof cfg.batching !== 'undefined' && typeof cfg.batching !== 'boolean') throw "batching, when specified, must be a boolean";
+            if (typeof cfg.maxInFlight !== 'undefined' && !s_isCount(cfg.maxInFlight)) throw "maxInFlight, when specified, must be a positive integer";
+            if (typeof cfg.creditWindow !== 'undefined' && !s_isCount(cfg.creditWindow)) throw "creditWindow, when specified, must be a positive integer";
+            if (typeof cfg.maxMessageSize !== 'undefined' && !(s_isCount(cfg.maxMessageSize) && cfg.maxMessageSize >= 1024)) throw "maxMessageSize, when specified, must be an integer of at least 1024";
+            if (typeof cfg.chunkTimeout !== 'undefined' && !s_isCount(cfg.chunkTimeout)) throw "chunkTimeout, when specified, must be a positive integer";
+            if (typeof cfg.maxReassemblySize !== 'undefined' && !s_isCount(cfg.maxReassemblySize)) throw "maxReassemblySize, when specified, must be a positive integer";
+            if (typeof cfg.compressionThreshold !== 'undefined' && !s_isCount(cfg.compressionThreshold)) throw "compressionThreshold, when specified, must be a positive integer";
 
-                if (!validOrigin) throw ("Channel.build() called with an invalid origin");
+            // on a transport reaching many peers, we're one of them
+            var peerId = null, peers = [ ];
+            if (transport.multiPeer) {
+                if (typeof cfg.peerId !== 'undefined' && (typeof cfg.peerId !== 'string' || !cfg.peerId.length)) throw "peerId, when specified, must be a non-empty string";
+                peerId = (typeof cfg.peerId === 'string') ? cfg.peerId : s_randomId(16);
             }
 
             if (typeof cfg.scope !== 'undefined') {
@@ -325,43 +1544,172 @@
             // are we ready yet?  when false we will block outbound messages.
             var ready = false;
             var pendingQueue = [ ];
+            // have both ends agreed to use structured clone serialization?  settled during the ready handshake.
+            var structuredClone = false;
+            // or tagged JSON?
+            var taggedJSON = false;
+            // does the other end speak the protocol from before the envelope?  settled during the
+            // ready handshake, by it not telling us about its capabilities.
+            var olderPeer = false;
+            // have both ends agreed to batch messages?  if so, those posted in the same tick wait in
+            // batchQueue to be sent together.
+            var batching = false, batchQueue = [ ];
+            // requests we've sent and not yet heard the end of, and those waiting in requestQueue
+            // because there are already maxInFlight of them
+            var maxInFlight = cfg.maxInFlight, inFlight = 0, requestQueue = [ ];
+            // can the other end put chunked messages back together?  settled during the ready handshake.
+            // messages we're putting back together are in 'transfers', by transfer id, and
+            // 'transferSize' is the total length of the chunks they hold.
+            var chunking = false, nextTransferId = 1, transfers = { }, transferSize = 0;
+            var chunkTimeout = cfg.chunkTimeout || 30000, maxReassemblySize = cfg.maxReassemblySize || 32 * 1024 * 1024;
+            // the codec we compress long messages with, if the other end knows one of ours.  compression
+            // may take a while, messages posted meanwhile wait in compressQueue to go out in order.
+            // likewise, messages received while one is being decompressed wait in receiveQueue.
+            var codec = null, compressing = false, compressQueue = [ ], decompressing = false, receiveQueue = [ ];
+            var destroyed = false;
+            // the timer which starts the ready handshake, cleared should the channel be destroyed first
+            var readyTimer;
 
-            var createTransaction = function (id, origin, callbacks) {
+            var createTransaction = function (id, origin, callbacks, deadline, peer, stream, credits) {
                 var shouldDelayReturn = false;
                 var completed = false;
+                var cancelled = false;
+                var cancelHandlers = [ ];
+
+                // with flow control, the caller gives us credit for so many callback invocations (and
+                // updates), and more as it gets through them.  once it's used up, what we send back waits
+                // in outQueue, and the handler is told to hold off.  drainHandlers are invoked once
+                // everything's out again.
+                if (typeof credits !== 'number' || credits <= 0) credits = Infinity;
+                var outQueue = [ ], drainHandlers = [ ];
+
+                // on a broadcast channel, everything we send back is addressed to the calling peer.
+                // returns false if the message had to wait in outQueue.
+                var reply = function(msg, transfer, isUpdate) {
+                    if (peer) msg.to = peer;
+                    if (outQueue.length || (isUpdate && credits <= 0)) {
+                        outQueue.push({ msg: msg, transfer: transfer, isUpdate: isUpdate });
+                        return false;
+                    }
+                    if (isUpdate) credits--;
+                    postMessage(msg, false, transfer);
+                    return true;
+                };
 
-                return {
+                // send whatever is waiting in outQueue and we have credit for
+                var flush = function() {
+                    while (outQueue.length && (!outQueue[0].isUpdate || credits > 0)) {
+                        var q = outQueue.shift();
+                        if (q.isUpdate) credits--;
+                        postMessage(q.msg, false, q.transfer);
+                    }
+                    if (outQueue.length) return;
+                    if (completed) {
+                        // the response is out, we're done
+                        drainHandlers = [ ];
+                        finish();
+                    }
+                    while (credits > 0 && drainHandlers.length) {
+                        try {
+                            drainHandlers.shift()();
+                        } catch (e) {
+                            debug("onDrain handler raised an exception: " + e);
+                        }
+                    }
+                };
+
+                // remove the transaction from the table once it's over
+                var finish = function() {
+                    if (inTbl[id]) s_global.clearTimeout(inTbl[id].timer);
+                    delete inTbl[id];
+                };
+
+                inTbl[id] = {
+                    peer: peer,
+                    // invoked when the caller grants us more credit
+                    grant: function(n) {
+                        credits += n;
+                        flush();
+                    },
+                    // for Channel.flowState()
+                    flowState: function() {
+                        return { credits: (credits === Infinity) ? null : credits, queued: outQueue.length };
+                    },
+                    // invoked when the caller cancels the request, or when its deadline passes.  the
+                    // transaction is over, anything the handler sends afterwards is silently dropped.
+                    cancel: function() {
+                        cancelled = completed = true;
+                        outQueue = [ ];
+                        drainHandlers = [ ];
+                        finish();
+                        while (cancelHandlers.length) {
+                            try {
+                                cancelHandlers.shift()();
+                            } catch (e) {
+                                debug("onCancel handler raised an exception: " + e);
+                            }
+                        }
+                    }
+                };
+
+                var trans = {
                     origin: origin,
+                    peer: peer,
+                    // invoke a callback of the caller.  returns false if the caller has fallen behind and the
+                    // invocation has to wait, in which case it's best to hold off until onDrain().
                     invoke: function(cbName, v) {
+                        if (cancelled) return false;
                         // verify in table
-                        if (!inTbl[id]) throw "attempting to invoke a callback of a nonexistent transaction: " + id;
+                        if (completed || !inTbl[id]) throw "attempting to invoke a callback of a nonexistent transaction: " + id;
                         // verify that the callback name is valid
                         var valid = false;
                         for (var i = 0; i < callbacks.length; i++) if (cbName === callbacks[i]) { valid = true; break; }
                         if (!valid) throw "request supports no such callback '" + cbName + "'";
 
                         // send callback invocation
-                        postMessage({ id: id, callback: cbName, params: v }, isReactNativeWebView); // Force post in RN
+                        return reply({ id: id, callback: cbName, params: v }, undefined, true);
+                    },
+                    // send an update to a caller streaming the results of the request.  returns false
+                    // like invoke().
+                    update: function(v) {
+                        if (cancelled) return false;
+                        if (completed || !inTbl[id]) throw "attempting to update a nonexistent transaction: " + id;
+                        if (!stream) throw "request isn't streaming updates";
+                        return reply({ id: id, callback: '__update', params: v }, undefined, true);
+                    },
+                    // how many more callback invocations (or updates) the caller will take right now,
+                    // Infinity without flow control
+                    credits: function() {
+                        return outQueue.length ? 0 : Math.max(0, credits);
+                    },
+                    // register a function to be invoked once the caller is ready for more
+                    onDrain: function(cb) {
+                        if (typeof cb !== 'function') throw "onDrain requires a function argument";
+                        if (cancelled) return;
+                        if (!outQueue.length && credits > 0) cb();
+                        else drainHandlers.push(cb);
+                    },
+                    // is the caller streaming the results of the request?
+                    streaming: function() {
+                        return !!stream;
                     },
                     error: function(error, message) {
-                        completed = true;
+                        if (cancelled) return;
                         // verify in table
-                        if (!inTbl[id]) throw "error called for nonexistent message: " + id;
-
-                        // remove transaction from table
-                        delete inTbl[id];
+                        if (completed || !inTbl[id]) throw "error called for nonexistent message: " + id;
+                        completed = true;
 
-                        // send error
-                        postMessage({ id: id, error: error, message: message }, isReactNativeWebView); // Force post in RN
+                        // send error, and remove transaction from table unless it has to wait for callback
+                        // invocations still queued (it keeps taking credit till then)
+                        if (reply({ id: id, error: error, message: message })) finish();
                     },
-                    complete: function(v) {
-                        completed = true;
+                    complete: function(v, transfer) {
+                        if (cancelled) return;
                         // verify in table
-                        if (!inTbl[id]) throw "complete called for nonexistent message: " + id;
-                        // remove transaction from table
-                        delete inTbl[id];
-                        // send complete
-                        postMessage({ id: id, result: v }, isReactNativeWebView); // Force post in RN
+                        if (completed || !inTbl[id]) throw "complete called for nonexistent message: " + id;
+                        completed = true;
+                        // send complete, and remove transaction from table as above
+                        if (reply({ id: id, result: v }, transfer)) finish();
                     },
                     delayReturn: function(delay) {
                         if (typeof delay === 'boolean') {
@@ -371,12 +1719,159 @@
                     },
                     completed: function() {
                         return completed;
+                    },
+                    cancelled: function() {
+                        return cancelled;
+                    },
+                    // the time (in milliseconds since the epoch) by which the caller expects a
+                    // response, or null if the caller specified no timeout
+                    deadline: function() {
+                        return (typeof deadline === 'number') ? deadline : null;
+                    },
+                    // milliseconds left until the deadline passes, Infinity if there is none
+                    timeRemaining: function() {
+                        if (typeof deadline !== 'number') return Infinity;
+                        return Math.max(0, deadline - new Date().getTime());
+                    },
+                    // register a function to be invoked if the caller cancels the request, so
+                    // long running handlers can stop working
+                    onCancel: function(cb) {
+                        if (typeof cb !== 'function') throw "onCancel requires a function argument";
+                        if (cancelled) cb();
+                        else if (!completed) cancelHandlers.push(cb);
                     }
                 };
+
+                // the caller gives up once the deadline passes, and so do we
+                if (typeof deadline === 'number') {
+                    inTbl[id].timer = s_global.setTimeout(inTbl[id].cancel, Math.max(0, deadline - new Date().getTime()));
+                }
+
+                return trans;
+            };
+
+            // complete or fail a transaction on behalf of an async handler.  by the time its
+            // promise settles the handler may have completed it by hand or the channel may be
+            // gone, neither of which is worth an unhandled rejection.
+            var settleTransaction = function(trans, fn) {
+                if (trans.completed()) return;
+                try {
+                    fn();
+                } catch (e) {
+                    debug("Exception settling transaction: " + e);
+                }
+            };
+
+            // drive an async generator returned by a handler.  what it yields goes to the caller as
+            // updates (when the caller is streaming, otherwise it's dropped), and what it returns
+            // completes the transaction.  should the transaction be cancelled, the generator is stopped.
+            var runGenerator = function(trans, gen) {
+                trans.delayReturn(true);
+                trans.onCancel(function() {
+                    if (typeof gen['return'] !== 'function') return;
+                    var stopped = gen['return']();
+                    if (s_isThenable(stopped)) stopped.then(null, function(e) { debug("generator raised an exception while stopping: " + e); });
+                });
+                var step = function() {
+                    gen.next().then(function(r) {
+                        if (trans.completed()) return;
+                        if (r.done) {
+                            settleTransaction(trans, function() { trans.complete(r.value); });
+                        } else {
+                            if (trans.streaming()) {
+                                var sent = true;
+                                settleTransaction(trans, function() { sent = trans.update(r.value); });
+                                // the caller has fallen behind, let it catch up before asking for more
+                                if (!sent) {
+                                    trans.onDrain(step);
+                                    return;
+                                }
+                            }
+                            step();
+                        }
+                    }, function(e) {
+                        var err = s_mapException(e);
+                        settleTransaction(trans, function() { trans.error(err[0], err[1]); });
+                    });
+                };
+                step();
+            };
+
+            // forget about an outbound request, it has been answered, timed out or been cancelled
+            var removeTransaction = function(transId) {
+                var t = outTbl[transId];
+                if (t && t.timer) s_global.clearTimeout(t.timer);
+                if (t && t.signal) t.signal.removeEventListener('abort', t.onAbort);
+                delete outTbl[transId];
+                if (!t) return;
+                if (t.sent) {
+                    // that's room for another request
+                    inFlight--;
+                    pumpRequests();
+                } else {
+                    for (var i = 0; i < requestQueue.length; i++) {
+                        if (requestQueue[i].id === transId) { requestQueue.splice(i, 1); break; }
+                    }
+                }
+            };
+
+            // send a request on its way
+            var dispatchRequest = function(r) {
+                outTbl[r.id].sent = true;
+                inFlight++;
+                postMessage(r.msg, false, r.transfer);
+            };
+
+            // send the requests waiting in requestQueue, as far as maxInFlight lets us
+            var pumpRequests = function() {
+                while (requestQueue.length && (!maxInFlight || inFlight < maxInFlight)) dispatchRequest(requestQueue.shift());
+            };
+
+            // give the other end credit for another invocation of a callback of one of our requests (or
+            // an update), now we're through with one.  credit is handed back in acks once we're through
+            // half the window, rather than one invocation at a time.
+            var ackInvocation = function(transId) {
+                var t = outTbl[transId];
+                if (!t) return;
+                t.unacked++;
+                if (t.unacked < Math.ceil(t.window / 2)) return;
+                var ackMsg = { id: transId, ack: t.method, credits: t.unacked };
+                if (t.peer) ackMsg.to = t.peer;
+                t.unacked = 0;
+                postMessage(ackMsg);
+            };
+
+            // abandon an outbound request.  the caller is settled with a 'cancelled' error right away,
+            // the remote end is told to stop working, and whatever it sends back later is dropped.
+            var cancelTransaction = function(transId, method) {
+                var t = outTbl[transId];
+                if (!t) return;
+                removeTransaction(transId);
+
+                // if the request never made it out we can simply take it back
+                var queued = !t.sent;
+                for (var i = 0; i < pendingQueue.length; i++) {
+                    if (pendingQueue[i].msg.id === transId && pendingQueue[i].msg.method === method) {
+                        pendingQueue.splice(i, 1);
+                        queued = true;
+                        break;
+                    }
+                }
+                if (!queued) {
+                    var cancelMsg = { id: transId, cancel: method };
+                    if (t.peer) cancelMsg.to = t.peer;
+                    postMessage(cancelMsg);
+                }
+
+                try {
+                    (1,t.error)("cancelled", "request cancelled on method '" + method + "'");
+                } catch (e) {
+                    debug("Exception executing cancel handler: " + e);
+                }
             };
 
             var setTransactionTimeout = function(transId, timeout, method) {
-                return window.setTimeout(function() {
+                return s_global.setTimeout(function() {
                     if (outTbl[transId]) {
                         // XXX: what if client code raises an exception here?
                         var msg = "timeout (" + timeout + "ms) exceeded on method '" + method + "'";
@@ -386,14 +1881,19 @@
                             debug("Exception executing timeout handler: " + e);
                         } finally {
                             // Clean up regardless of error callback success
-                            delete outTbl[transId];
-                            delete s_transIds[transId];
+                            removeTransaction(transId);
                         }
                     }
                 }, timeout);
             };
 
-            var onMessage = function(origin, method, m) {
+            var onMessage = function(origin, method, m, structured) {
+                // a structured clone message is only acceptable once both ends have agreed to them
+                if (structured && !structuredClone) {
+                    debug("ignoring structured clone message on a JSON channel");
+                    return;
+                }
+
                 // if an observer was specified at allocation time, invoke it
                 if (typeof cfg.gotMessageObserver === 'function') {
                     // pass observer a clone of the object so that our
@@ -407,12 +1907,35 @@
                     }
                 }
 
+                // the peer that sent the message, on a broadcast channel
+                var peer = peerId ? m.from : undefined;
+
+                // ids are opaque, and any string or integer will do (0 included)
+                var hasId = s_isValidId(m.id);
+                if (!hasId && typeof m.id !== 'undefined') {
+                    debug("ignoring message with an invalid id: " + m.id);
+                    return;
+                }
+                // the request of ours a message belongs to, if any
+                var out = (hasId && outTbl.hasOwnProperty(m.id)) ? outTbl[m.id] : null;
+
                 // now, what type of message is this?
-                if (m.id && method) {
+                if (hasId && typeof m.cancel === 'string') {
+                    // a cancellation of a request we're working on
+                    if (inTbl.hasOwnProperty(m.id) && inTbl[m.id].peer === peer) inTbl[m.id].cancel();
+                } else if (hasId && typeof m.ack === 'string') {
+                    // the caller of a request we're working on is ready for more callback invocations
+                    if (inTbl.hasOwnProperty(m.id) && inTbl[m.id].peer === peer && s_isCount(m.credits)) inTbl[m.id].grant(m.credits);
+                } else if (hasId && method) {
                     // a request!  do we have a registered handler for this request?
                     if (regTbl[method]) {
-                        var trans = createTransaction(m.id, origin, m.callbacks ? m.callbacks : [ ]);
-                        inTbl[m.id] = { };
+                        // the caller has already given up on requests past their deadline, don't bother
+                        if (typeof m.deadline === 'number' && m.deadline <= new Date().getTime()) {
+                            debug("ignoring request past its deadline, id:" + m.id + " (" + method + ")");
+                            return;
+                        }
+                        var trans = createTransaction(m.id, origin, m.callbacks ? m.callbacks : [ ], m.deadline, peer, m.stream === true,
+                                                      s_isCount(m.credits) ? m.credits : undefined);
                         try {
                             // callback handling.  we'll magically create functions inside the parameter list for each
                             // callback
@@ -435,82 +1958,280 @@
                                 }
                             }
                             var resp = regTbl[method](trans, m.params);
-                            if (!trans.delayReturn() && !trans.completed()) trans.complete(resp);
-                        } catch(e) {
-                            // automagic handling of exceptions:
-                            var error = "runtime_error";
-                            var message = null;
-                            // * if it's a string then it gets an error code of 'runtime_error' and string is the message
-                            if (typeof e === 'string') {
-                                message = e;
-                            } else if (typeof e === 'object') {
-                                // either an array or an object
-                                // * if it's an array of length two, then  array[0] is the code, array[1] is the error message
-                                if (e && s_isArray(e) && e.length == 2) {
-                                    error = e[0];
-                                    message = e[1];
-                                }
-                                // * if it's an object then we'll look form error and message parameters
-                                else if (typeof e.error === 'string') {
-                                    error = e.error;
-                                    if (!e.message) message = "";
-                                    else if (typeof e.message === 'string') message = e.message;
-                                    else e = e.message; // let the stringify/toString message give us a reasonable verbose error string
-                                }
+                            if (s_isAsyncIterator(resp) && !trans.completed()) {
+                                // an async generator, which streams its results
+                                runGenerator(trans, resp);
+                            } else if (s_isThenable(resp) && !trans.completed()) {
+                                // an async handler, the transaction completes when the returned promise settles
+                                trans.delayReturn(true);
+                                resp.then(function(v) {
+                                    settleTransaction(trans, function() { trans.complete(v); });
+                                }, function(e) {
+                                    var err = s_mapException(e);
+                                    settleTransaction(trans, function() { trans.error(err[0], err[1]); });
+                                });
                             }
-
-                            // message is *still* null, let's try harder
-                            if (message === null) {
-                                try {
-                                    message = JSON.stringify(e);
-                                    /* On MSIE8, this can result in 'out of memory', which
-                                     * leaves message undefined. */
-                                    if (typeof(message) == 'undefined')
-                                      message = e.toString();
-                                } catch (e2) {
-                                    message = e.toString();
-                                }
-                            }
-
-                            trans.error(error,message);
+                            else if (!trans.delayReturn() && !trans.completed()) trans.complete(resp);
+                        } catch(e) {
+                            var err = s_mapException(e);
+                            trans.error(err[0], err[1]);
                         }
                     }
-                } else if (m.id && m.callback) {
-                    if (!outTbl[m.id] ||!outTbl[m.id].callbacks || !outTbl[m.id].callbacks[m.callback])
+                } else if (out && out.peer !== peer) {
+                    debug("ignoring message from peer " + peer + " for a request sent to " + out.peer);
+                } else if (hasId && m.callback) {
+                    if (!out || !out.callbacks || typeof m.callback !== 'string' || !out.callbacks.hasOwnProperty(m.callback))
                     {
                         debug("ignoring invalid callback, id:"+m.id+ " (" + m.callback +")");
                     } else {
                         // XXX: what if client code raises an exception here?
-                        outTbl[m.id].callbacks[m.callback](m.params);
+                        var ret;
+                        try {
+                            ret = out.callbacks[m.callback](m.params);
+                        } finally {
+                            // with flow control, the other end gets its credit back once the callback
+                            // is through with the invocation (thrown or not), or the promise it
+                            // returns settles
+                            if (out.window) {
+                                var ackId = m.id;
+                                var ack = function() { ackInvocation(ackId); };
+                                if (s_isThenable(ret)) ret.then(ack, ack);
+                                else ack();
+                            }
+                        }
                     }
-                } else if (m.id) {
-                    if (!outTbl[m.id]) {
+                } else if (hasId) {
+                    if (!out) {
                         debug("ignoring invalid response: " + m.id);
                     } else {
                         // XXX: what if client code raises an exception here?
                         if (m.error) {
-                            (1,outTbl[m.id].error)(m.error, m.message);
+                            (1,out.error)(m.error, m.message);
                         } else {
-                            if (m.result !== undefined) (1,outTbl[m.id].success)(m.result);
-                            else (1,outTbl[m.id].success)();
+                            if (m.result !== undefined) (1,out.success)(m.result);
+                            else (1,out.success)();
                         }
-                        delete outTbl[m.id];
-                        delete s_transIds[m.id];
+                        removeTransaction(m.id);
                     }
+                } else if (method === '__ready') {
+                    // the handshake, which also tells us what the other end is capable of
+                    onReady(m.params, m.capabilities, peer);
                 } else if (method) {
                     // tis a notification.
                     if (regTbl[method]) {
                         // yep, there's a handler for that.
-                        // transaction has only origin for notifications.
-                        regTbl[method]({ origin: origin }, m.params);
+                        // transaction has only origin (and peer) for notifications.
+                        regTbl[method](peerId ? { origin: origin, peer: peer } : { origin: origin }, m.params);
                         // if the client throws, we'll just let it bubble out
                         // what can we do?  Also, here we'll ignore return values
                     }
                 }
             };
 
+            // tell the security observer about a message we've turned down for the given reason
+            var reportViolation = function(origin, m, reason) {
+                debug("rejecting message (" + reason + ") from " + origin);
+                if (typeof cfg.securityObserver === 'function') {
+                    try {
+                        cfg.securityObserver(origin, m, reason);
+                    } catch (e) {
+                        debug("securityObserver() raised an exception: " + e.toString());
+                    }
+                }
+            };
+
+            // tell the progress observer how a message sent or received in chunks is coming along
+            var reportProgress = function(direction, transferId, t, error) {
+                if (typeof cfg.onChunkProgress !== 'function') return;
+                var progress = { transfer: transferId, direction: direction, chunks: t.chunks, count: t.count, loaded: t.loaded, total: t.total };
+                if (typeof t.id !== 'undefined') progress.id = t.id;
+                if (typeof t.method !== 'undefined') progress.method = t.method;
+                if (error) progress.error = error;
+                try {
+                    cfg.onChunkProgress(progress);
+                } catch (e) {
+                    debug("onChunkProgress() raised an exception: " + e.toString());
+                }
+            };
+
+            // forget about a message we were putting back together
+            var removeTransfer = function(key) {
+                var t = transfers[key];
+                s_global.clearTimeout(t.timer);
+                transferSize -= t.loaded;
+                delete transfers[key];
+            };
+
+            // we couldn't make out a message (with the given id and method, from the given peer).  if it's
+            // the response to a request of ours, the request fails, and if it's a request, its sender
+            // is told.
+            var failMessage = function(id, method, peer, message) {
+                if (!s_isValidId(id)) return;
+                if (typeof method === 'undefined' && outTbl.hasOwnProperty(id)) {
+                    try {
+                        (1,outTbl[id].error)("transfer_error", message);
+                    } catch (e) {
+                        debug("Exception executing error handler: " + e);
+                    } finally {
+                        removeTransaction(id);
+                    }
+                } else if (typeof method === 'string') {
+                    var errorMsg = { id: id, error: "transfer_error", message: message };
+                    if (peerId) errorMsg.to = peer;
+                    postMessage(errorMsg);
+                }
+            };
+
+            // give up on putting a message back together.  further chunks are ignored until the
+            // transfer times out.
+            var failTransfer = function(key, error) {
+                var t = transfers[key];
+                reportProgress('receive', t.transfer, t, error);
+                var message = "message " + (error === 'timeout' ? "not received in full within " + chunkTimeout + "ms" : "exceeded the reassembly limit of " + maxReassemblySize + " characters");
+                debug(message + ": " + t.transfer);
+                failMessage(t.id, t.method, t.peer, message);
+                transferSize -= t.loaded;
+                t.pieces = [ ];
+                t.loaded = 0;
+                t.failed = true;
+                if (error === 'timeout') removeTransfer(key);
+            };
+
+            // a chunk of a long message has arrived.  once they all have, the message is handled as
+            // if it had arrived in one piece.
+            var onChunk = function(frame, origin, info) {
+                if (!s_isCount(frame.count) || typeof frame.index !== 'number' || Math.floor(frame.index) !== frame.index ||
+                    frame.index < 0 || frame.index >= frame.count || typeof frame.total !== 'number' || typeof frame.data !== 'string') {
+                    debug("ignoring malformed chunk of " + frame.chunk);
+                    return;
+                }
+                // transfer ids are unique to the sender, of which there may be many on a broadcast channel
+                var key = peerId ? frame.from + ':' + frame.chunk : frame.chunk;
+                var t = transfers[key];
+                if (!t) {
+                    t = transfers[key] = {
+                        transfer: frame.chunk, id: frame.id, method: frame.method, peer: frame.from,
+                        count: frame.count, total: frame.total, chunks: 0, loaded: 0, pieces: [ ], failed: false,
+                        timer: s_global.setTimeout(function() {
+                            if (transfers[key].failed) removeTransfer(key);
+                            else failTransfer(key, 'timeout');
+                        }, chunkTimeout)
+                    };
+                }
+                if (t.failed) return;
+                if (frame.count !== t.count || frame.total !== t.total || typeof t.pieces[frame.index] === 'string') {
+                    debug("ignoring inconsistent chunk of " + frame.chunk);
+                    return;
+                }
+                if (t.loaded + frame.data.length > t.total || t.total - t.loaded > maxReassemblySize - transferSize) {
+                    failTransfer(key, 'size');
+                    return;
+                }
+                t.pieces[frame.index] = frame.data;
+                t.chunks++;
+                t.loaded += frame.data.length;
+                transferSize += frame.data.length;
+                reportProgress('receive', t.transfer, t);
+                if (t.chunks < t.count) return;
+
+                var data = t.pieces.join('');
+                removeTransfer(key);
+                onReceive(data, { origin: origin, source: info ? info.source : undefined, reassembled: true });
+            };
+
+            // a compressed message has arrived.  it's handled once it's decompressed, along with those
+            // arriving meanwhile, in order.
+            var onCompressed = function(frame, origin, info) {
+                if (typeof frame.data !== 'string') {
+                    debug("ignoring malformed compressed message");
+                    return;
+                }
+                decompressing = true;
+                s_decompress(frame.codec, frame.data, maxReassemblySize, function(err, data) {
+                    if (destroyed) return;
+                    decompressing = false;
+                    if (err) {
+                        var message = (err === 'size') ? "message exceeded the reassembly limit of " + maxReassemblySize + " characters" :
+                                                         "message could not be decompressed with " + frame.codec;
+                        debug(message);
+                        failMessage(frame.id, frame.method, frame.from, message);
+                    } else {
+                        onReceive(data, { origin: origin, source: info ? info.source : undefined, decompressed: true });
+                    }
+                    while (!decompressing && receiveQueue.length) {
+                        var q = receiveQueue.shift();
+                        onReceive(q.data, q.info);
+                    }
+                });
+            };
+
+            // messages arrive here from the transport.  requests, notifications and cancellations must
+            // match our scope and come from the origin we expect, everything else is up to onMessage.
+            // with a secret, every message must carry it.
+            var onReceive = function(data, info) {
+                if (decompressing) {
+                    receiveQueue.push({ data: data, info: info });
+                    return;
+                }
+                var parsed = (info && info.hasOwnProperty('parsed')) ? info.parsed : s_parseMessage(data, !ready || olderPeer);
+                if (!parsed) return;
+                if (parsed.batch) {
+                    for (var i = 0; i < parsed.batch.length; i++) {
+                        onReceive(null, { origin: info ? info.origin : undefined, source: info ? info.source : undefined, parsed: parsed.batch[i] });
+                    }
+                    return;
+                }
+                // messages without the envelope are only taken from an older peer, and from anybody
+                // before the handshake has told us whether that's what it is
+                if (parsed.unmarked && !olderPeer && (ready || parsed.method !== '__ready')) return;
+                var origin = (info && typeof info.origin === 'string') ? info.origin : cfg.origin;
+                if (typeof parsed.method === 'string') {
+                    if (parsed.scope !== scope) return;
+                    if (!s_matchOrigin(origins, origin)) return;
+                } else if (s_isValidId(parsed.m.id)) {
+                    // responses, errors and callback invocations carry no scope, just an id.  they must come
+                    // from the window our requests went to, at an origin we accept.  one that doesn't but
+                    // claims to answer a request of ours is a forgery.
+                    var reason = null;
+                    if (info && info.source && transport.source && info.source !== transport.source) reason = 'source';
+                    else if (!s_matchOrigin(origins, origin)) reason = 'origin';
+                    if (reason) {
+                        if (outTbl.hasOwnProperty(parsed.m.id)) reportViolation(origin, parsed.m, reason);
+                        return;
+                    }
+                } else {
+                    return;
+                }
+                if (typeof cfg.secret === 'string' && !s_secretsEqual(parsed.m.secret, cfg.secret)) {
+                    reportViolation(origin, parsed.m, 'secret');
+                    return;
+                }
+                if (peerId) {
+                    // on a broadcast channel, ignore our own messages and those meant for other peers
+                    if (typeof parsed.m.from !== 'string' || parsed.m.from === peerId) return;
+                    if (typeof parsed.m.to !== 'undefined' && parsed.m.to !== peerId) return;
+                }
+                if (typeof parsed.m.chunk === 'string') {
+                    // a piece of a long message, which is only dealt with once it's whole
+                    if (!parsed.structured && !(info && (info.reassembled || info.decompressed))) onChunk(parsed.m, origin, info);
+                    return;
+                }
+                if (typeof parsed.m.codec === 'string') {
+                    if (!parsed.structured && !(info && info.decompressed)) onCompressed(parsed.m, origin, info);
+                    return;
+                }
+                if (parsed.tagged && taggedJSON) {
+                    // decoded in place, and just the once: other channels may be handed the same message
+                    parsed.m = s_decodeTagged(parsed.m);
+                    parsed.tagged = false;
+                }
+                onMessage(origin, parsed.method, parsed.m, parsed.structured);
+            };
+
             // now register our bound channel for msg routing
-            s_addBoundChan(cfg.window, cfg.origin, ((typeof cfg.scope === 'string') ? cfg.scope : ''), onMessage);
+            var scope = (typeof cfg.scope === 'string') ? cfg.scope : '';
+            if (transport.source) s_addBoundChan(transport.source, origins, scope);
+            transport.onReceive(onReceive, { scope: scope, origins: origins, idPrefix: idPrefix });
 
             // scope method names based on cfg.scope specified when the Channel was instantiated
             var scopeMethod = function(m) {
@@ -520,12 +2241,17 @@
             };
 
             // a small wrapper around postmessage whose primary function is to handle the
-            // case that clients start sending messages before the other end is "ready"
-            var postMessage = function(msg, force) {
+            // case that clients start sending messages before the other end is "ready".
+            // 'transfer' is an optional array of Transferables, honored only when using
+            // structured clone serialization.
+            var postMessage = function(msg, force, transfer) {
                 if (!msg) throw "postMessage called with null message";
 
-                if (!force && !ready) {
-                    pendingQueue.push(msg);
+                if (peerId) msg.from = peerId;
+                if (typeof cfg.secret === 'string') msg.secret = cfg.secret;
+
+                if (!force && !ready && transport.bufferUntilReady !== false) {
+                    pendingQueue.push({ msg: msg, transfer: transfer });
                 } else {
                     if (typeof cfg.postMessageObserver === 'function') {
                         try {
@@ -535,25 +2261,194 @@
                         }
                     }
 
-                    var msgString = JSON.stringify(msg); // Stringify once
-                    // Post using the correct method for the environment
-                    if (isReactNativeWebView) {
-                        // React Native WebView environment
-                        // cfg.window.postMessage(msg);
-                        cfg.window.postMessage(msgString);
+                    // handshake messages are always JSON, the other end may not have learned
+                    // about structured clone (or batches) yet, or be a fresh instance that's forgotten.
+                    if (msg.method === scopeMethod('__ready')) {
+                        flushBatch();
+                        transport.send(JSON.stringify(s_envelope(msg)));
+                    } else if (batching) {
+                        if (!batchQueue.length) s_defer(flushBatch);
+                        batchQueue.push({ msg: msg, transfer: transfer });
                     } else {
-                        // Standard iframe environment
-                        cfg.window.postMessage(msgString, cfg.origin);
+                        send(msg, transfer);
                     }
                 }
             };
 
-            var onReady = function(trans, type) {
+            var send = function(msg, transfer) {
+                if (structuredClone) {
+                    transport.send(s_envelope(msg), transfer);
+                    return;
+                }
+                if (compressing) {
+                    compressQueue.push(msg);
+                    return;
+                }
+                var data;
+                if (taggedJSON) {
+                    var tagged = s_encodeTagged(msg, [ ]);
+                    tagged.tagged = true;
+                    data = JSON.stringify(s_envelope(tagged));
+                } else {
+                    data = JSON.stringify(s_envelope(msg));
+                }
+                if (msg.batch && ((chunking && data.length > cfg.maxMessageSize) || (codec && data.length > cfg.compressionThreshold))) {
+                    // too long a batch is sent a message at a time instead.  chunks and compressed
+                    // messages are routed by the id or method of the message they carry, which a
+                    // batch doesn't have.
+                    for (var i = 0; i < msg.batch.length; i++) send(msg.batch[i]);
+                } else if (codec && data.length > cfg.compressionThreshold) {
+                    var withCodec = codec;
+                    compressing = true;
+                    s_compress(withCodec, data, function(err, compressed) {
+                        if (destroyed) return;
+                        compressing = false;
+                        // it's not worth it if it's hardly any shorter
+                        var frame = err ? null : s_copyRouting(msg, { codec: withCodec, data: compressed });
+                        var frameData = frame ? JSON.stringify(s_envelope(frame)) : null;
+                        if (frame && frameData.length < data.length * 0.9) sendData(frame, frameData);
+                        else sendData(msg, data);
+                        while (!compressing && compressQueue.length) send(compressQueue.shift());
+                    });
+                } else {
+                    sendData(msg, data);
+                }
+            };
+
+            // send a message as serialized, in chunks if it's too long
+            var sendData = function(msg, data) {
+                if (!chunking || data.length <= cfg.maxMessageSize) transport.send(data);
+                else sendChunks(msg, data);
+            };
+
+            // send a message too long to post in one go as a number of chunks.  they carry what's needed
+            // to route and check them like the message itself: its id and method, secret and so on.
+            var sendChunks = function(msg, data) {
+                var transferId = idPrefix + 'c' + (nextTransferId++);
+                var frame = s_copyRouting(msg, { chunk: transferId, index: 0, count: 0, total: data.length, data: '' });
+
+                // what's left of maxMessageSize for the data, once the rest of the frame is accounted
+                // for (with room to spare for the numbers)
+                var room = cfg.maxMessageSize - JSON.stringify(s_envelope(frame)).length - 40;
+                if (room < 64) {
+                    debug("message too long to chunk, sending it whole");
+                    transport.send(data);
+                    return;
+                }
+
+                // escaping makes data longer in a frame, so a chunk may have to make do with less.
+                // surrogate pairs aren't split, as some bridges don't take to half of one.
+                var pieces = [ ];
+                for (var pos = 0; pos < data.length; ) {
+                    var len = Math.min(room, data.length - pos), piece;
+                    for (;;) {
+                        piece = data.substr(pos, len);
+                        var c = piece.charCodeAt(len - 1);
+                        if (len > 1 && pos + len < data.length && c >= 0xD800 && c <= 0xDBFF) {
+                            len--;
+                            continue;
+                        }
+                        var over = JSON.stringify(piece).length - 2 - room;
+                        if (over <= 0) break;
+                        len -= over;
+                    }
+                    pieces.push(piece);
+                    pos += len;
+                }
+
+                var t = { id: msg.id, method: msg.method, count: pieces.length, total: data.length, chunks: 0, loaded: 0 };
+                frame.count = pieces.length;
+                for (var i = 0; i < pieces.length; i++) {
+                    frame.index = i;
+                    frame.data = pieces[i];
+                    transport.send(JSON.stringify(s_envelope(frame)));
+                    t.chunks++;
+                    t.loaded += pieces[i].length;
+                    reportProgress('send', transferId, t);
+                }
+            };
+
+            // send the messages posted this tick, as a single batch if there's more than one
+            var flushBatch = function() {
+                var batch = batchQueue;
+                batchQueue = [ ];
+                if (batch.length === 1) {
+                    send(batch[0].msg, batch[0].transfer);
+                } else if (batch.length > 1) {
+                    var msgs = [ ], transfer = [ ];
+                    for (var i = 0; i < batch.length; i++) {
+                        msgs.push(batch[i].msg);
+                        if (batch[i].transfer) transfer = transfer.concat(batch[i].transfer);
+                    }
+                    send({ batch: msgs }, transfer);
+                }
+            };
+
+            // send a handshake message, advertising what this end is capable of.  on a broadcast
+            // channel a pong is addressed to the peer that pinged.
+            var sendReady = function(type, to) {
+                if (destroyed) return;
+                var msg = {
+                    method: scopeMethod('__ready'),
+                    params: type,
+                    capabilities: {
+                        serialization: (cfg.serialization === 'structured' || cfg.serialization === 'tagged') ? [ cfg.serialization, 'json' ] : [ 'json' ],
+                        batching: cfg.batching === true,
+                        chunking: true,
+                        compression: s_codecs()
+                    }
+                };
+                if (to) msg.to = to;
+                postMessage(msg, true);
+            };
+
+            var onReady = function(type, capabilities, peer) {
                 debug('ready msg received');
+
+                // on a broadcast channel handshakes introduce peers, and say goodbye to them
+                var newPeer = false;
+                if (peerId) {
+                    var idx = peers.indexOf(peer);
+                    if (type === 'bye') {
+                        if (idx >= 0) {
+                            peers.splice(idx, 1);
+                            if (typeof cfg.onPeerLeave === 'function') cfg.onPeerLeave(peer);
+                        }
+                        return;
+                    }
+                    if (idx < 0) {
+                        peers.push(peer);
+                        newPeer = true;
+                    }
+                }
+
+                // use structured clone only if both ends asked for it.  older peers don't advertise
+                // any capabilities at all.  on a broadcast channel, every peer must ask for it.
+                if (!ready || newPeer) {
+                    olderPeer = (!peerId && !capabilities);
+                    var peerSerialization = (capabilities && s_isArray(capabilities.serialization)) ? capabilities.serialization : [ 'json' ];
+                    structuredClone = (cfg.serialization === 'structured' && peerSerialization.indexOf('structured') >= 0 &&
+                                       (!ready || structuredClone));
+                    if (cfg.serialization === 'structured' && !structuredClone) debug('remote end does not support structured clone, falling back to JSON');
+                    taggedJSON = (cfg.serialization === 'tagged' && peerSerialization.indexOf('tagged') >= 0 && (!ready || taggedJSON));
+                    if (cfg.serialization === 'tagged' && !taggedJSON) debug('remote end does not support tagged JSON, falling back to JSON');
+                    // likewise batches
+                    batching = (cfg.batching === true && !!capabilities && capabilities.batching === true && (!ready || batching));
+                    // and chunks, which only matter if we're to split messages
+                    chunking = (typeof cfg.maxMessageSize === 'number' && !!capabilities && capabilities.chunking === true && (!ready || chunking));
+                    // and compression, with the best of our codecs the other end knows
+                    var peerCodecs = (capabilities && s_isArray(capabilities.compression)) ? capabilities.compression : [ ], best = null;
+                    for (var i = 0; i < s_codecs().length && !best; i++) {
+                        if (peerCodecs.indexOf(s_codecs()[i]) >= 0) best = s_codecs()[i];
+                    }
+                    codec = (typeof cfg.compressionThreshold === 'number' && best && (!ready || codec === best)) ? best : null;
+                }
+
                 if (ready) {
                     if (type === 'ping') {
-                        obj.notify({ method: '__ready', params: 'pong' });
+                        sendReady('pong', peer);
                     }
+                    if (newPeer && typeof cfg.onPeerJoin === 'function') cfg.onPeerJoin(peer);
                     return;
                 }
 
@@ -568,18 +2463,127 @@
                 debug('ready msg accepted.');
 
                 if (type === 'ping') {
-                    obj.notify({ method: '__ready', params: 'pong' });
+                    sendReady('pong', peer);
                 }
 
-                // flush queue
+                // flush queue, in the order messages were queued
                 while (pendingQueue.length) {
-                    postMessage(pendingQueue.pop());
+                    var pending = pendingQueue.shift();
+                    postMessage(pending.msg, false, pending.transfer);
                 }
 
+                if (newPeer && typeof cfg.onPeerJoin === 'function') cfg.onPeerJoin(peer);
+
                 // invoke onReady observer if provided
                 if (typeof cfg.onReady === 'function') cfg.onReady(obj);
             };
 
+            // send a request.  when 'onUpdate' is given the request streams its results, and updates
+            // are passed to it.  returns the promise call() returns (if any), and the request's id and
+            // scoped method name.
+            var sendRequest = function(m, onUpdate) {
+                if (!m) throw 'missing arguments to call function';
+                if (!m.method || typeof m.method !== 'string') throw "'method' argument to call must be string";
+                if (peerId && typeof m.peer !== 'string') throw "'peer' argument to call must be string on a broadcast channel";
+
+                // when neither 'success' nor 'error' callbacks are supplied and the environment has
+                // promises, call() returns a promise which resolves with the result or rejects with an
+                // Error carrying 'error' and 'message' properties.  an 'error' callback on its own is
+                // a mistake we'd rather hear about than quietly ignore.
+                var success = m.success, error = m.error, promise;
+                if (!success && !error && typeof Promise === 'function') {
+                    promise = new Promise(function(resolve, reject) {
+                        success = resolve;
+                        error = function(e, msg) { reject(s_makeError(e, msg)); };
+                    });
+                }
+                if (!success || typeof success !== 'function') throw "'success' callback missing from call";
+
+                // now it's time to support the 'callback' feature of jschannel.  We'll traverse the argument
+                // object and pick out all of the functions that were passed as arguments.
+                var callbacks = { };
+                var callbackNames = [ ];
+                var seen = [ ];
+
+                var pruneFunctions = function (path, obj) {
+                    if (seen.indexOf(obj) >= 0) {
+                        throw "params cannot be a recursive data structure"
+                    }
+                    seen.push(obj);
+                   
+                    // binary data can't hold functions, and is potentially huge
+                    if (typeof ArrayBuffer !== 'undefined' &&
+                        (obj instanceof ArrayBuffer || (ArrayBuffer.isView && ArrayBuffer.isView(obj)))) return;
+
+                    if (typeof obj === 'object') {
+                        for (var k in obj) {
+                            if (!obj.hasOwnProperty(k)) continue;
+                            var np = path + (path.length ? '/' : '') + k;
+                            if (typeof obj[k] === 'function') {
+                                callbacks[np] = obj[k];
+                                callbackNames.push(np);
+                                delete obj[k];
+                            } else if (typeof obj[k] === 'object' && obj[k] !== null) {
+                                pruneFunctions(np, obj[k]);
+                            }
+                        }
+                    }
+                };
+                pruneFunctions("", m.params);
+
+                // build a 'request' message and send it
+                var transId = idPrefix + (nextTransId++);
+                var msg = { id: transId, method: scopeMethod(m.method), params: m.params };
+                if (callbackNames.length) msg.callbacks = callbackNames;
+
+                // updates of a streaming request arrive as invocations of a reserved callback
+                if (onUpdate) {
+                    msg.stream = true;
+                    callbacks.__update = onUpdate;
+                }
+
+                // on a broadcast channel, requests are addressed to a single peer
+                if (peerId) msg.to = m.peer;
+
+                // with flow control, the other end may only invoke our callbacks (or send updates) so
+                // many times before hearing back from us.  a per call 'credits' overrides the channel
+                // default, and 0 turns it off.
+                var credits = (typeof m.credits !== 'undefined') ? m.credits : cfg.creditWindow;
+                if (typeof credits !== 'undefined' && credits !== 0 && !s_isCount(credits)) throw "'credits' argument to call must be a non-negative integer";
+                if (credits) msg.credits = credits;
+
+                // insert into the transaction table
+                outTbl[transId] = { callbacks: callbacks, error: error, success: success, peer: msg.to,
+                                    method: msg.method, sent: false, window: credits || 0, unacked: 0 };
+
+                // a per call timeout overrides the channel default, and a timeout of 0 disables it.
+                // the remote end is told the absolute deadline so it can give up at the same time.
+                var timeout = (typeof m.timeout === 'number') ? m.timeout : cfg.defaultTimeout;
+                if (timeout > 0) {
+                    msg.deadline = new Date().getTime() + timeout;
+                    outTbl[transId].timer = setTransactionTimeout(transId, timeout, msg.method);
+                }
+
+                // with a limit on requests in flight, those over it wait their turn
+                var request = { id: transId, msg: msg, transfer: m.transfer };
+                if (maxInFlight && inFlight >= maxInFlight) requestQueue.push(request);
+                else dispatchRequest(request);
+
+                // an AbortSignal passed as 'signal' cancels the request when aborted
+                if (m.signal) {
+                    var onAbort = function() { cancelTransaction(transId, msg.method); };
+                    if (m.signal.aborted) {
+                        onAbort();
+                    } else {
+                        outTbl[transId].signal = m.signal;
+                        outTbl[transId].onAbort = onAbort;
+                        m.signal.addEventListener('abort', onAbort);
+                    }
+                }
+
+                return { promise: promise, id: transId, method: msg.method };
+            };
+
             var obj = {
                 // tries to unbind a bound message handler.  returns false if not possible
                 unbind: function (method) {
@@ -598,93 +2602,181 @@
                     return this;
                 },
                 call: function(m) {
-                    if (!m) throw 'missing arguments to call function';
-                    if (!m.method || typeof m.method !== 'string') throw "'method' argument to call must be string";
-                    if (!m.success || typeof m.success !== 'function') throw "'success' callback missing from call";
-
-                    // now it's time to support the 'callback' feature of jschannel.  We'll traverse the argument
-                    // object and pick out all of the functions that were passed as arguments.
-                    var callbacks = { };
-                    var callbackNames = [ ];
-                    var seen = [ ];
-
-                    var pruneFunctions = function (path, obj) {
-                        if (seen.indexOf(obj) >= 0) {
-                            throw "params cannot be a recursive data structure"
+                    return sendRequest(m).promise;
+                },
+                // call a method which streams its results.  takes the same arguments as call(), save for
+                // 'success' and 'error', and returns an async iterator of the updates the method sends.
+                // once they're through, the iterator is done, with the result as its value (also to be
+                // had from result()).  errors reject next().  closing the iterator early (e.g. breaking
+                // out of a for await loop) cancels the request, which stops the method producing.
+                stream: function(m) {
+                    if (typeof Promise !== 'function') throw "stream requires promises";
+                    if (!m) throw 'missing arguments to stream function';
+
+                    // updates not yet handed out (along with a function to call once they are, which lets
+                    // the other end know we're ready for more), next() calls waiting for one, and the
+                    // outcome once known
+                    var updates = [ ], waiting = [ ], resultWaiting = [ ], outcome = null, finished = false, closed = false;
+
+                    var drain = function() {
+                        while (waiting.length) {
+                            var w = waiting[0];
+                            if (updates.length) {
+                                var u = updates.shift();
+                                w.resolve({ value: u.value, done: false });
+                                u.consumed();
+                            }
+                            else if (closed || finished) w.resolve({ value: undefined, done: true });
+                            else if (outcome) {
+                                finished = true;
+                                if (outcome.error) w.reject(outcome.error);
+                                else w.resolve({ value: outcome.result, done: true });
+                            }
+                            else break;
+                            waiting.shift();
                         }
-                        seen.push(obj);
-                       
-                        if (typeof obj === 'object') {
-                            for (var k in obj) {
-                                if (!obj.hasOwnProperty(k)) continue;
-                                var np = path + (path.length ? '/' : '') + k;
-                                if (typeof obj[k] === 'function') {
-                                    callbacks[np] = obj[k];
-                                    callbackNames.push(np);
-                                    delete obj[k];
-                                } else if (typeof obj[k] === 'object' && obj[k] !== null) {
-                                    pruneFunctions(np, obj[k]);
-                                }
+                        if (outcome) {
+                            while (resultWaiting.length) {
+                                var r = resultWaiting.shift();
+                                if (outcome.error) r.reject(outcome.error);
+                                else r.resolve(outcome.result);
                             }
                         }
                     };
-                    pruneFunctions("", m.params);
-
-                    // build a 'request' message and send it
-                    var msg = { id: s_curTranId, method: scopeMethod(m.method), params: m.params };
-                    if (callbackNames.length) msg.callbacks = callbackNames;
 
-                    if (m.timeout)
-                      // XXX: This function returns a timeout ID, but we don't do anything with it.
-                      // We might want to keep track of it so we can cancel it using clearTimeout()
-                      // when the transaction completes.
-                      setTransactionTimeout(s_curTranId, m.timeout, scopeMethod(m.method));
+                    var c = { };
+                    for (var k in m) if (m.hasOwnProperty(k)) c[k] = m[k];
+                    c.success = function(v) { outcome = { result: v }; drain(); };
+                    c.error = function(e, msg) { outcome = { error: s_makeError(e, msg) }; drain(); };
+                    var req = sendRequest(c, function(v) {
+                        if (closed) return;
+                        return new Promise(function(resolve) {
+                            updates.push({ value: v, consumed: resolve });
+                            drain();
+                        });
+                    });
 
-                    // insert into the transaction table
-                    outTbl[s_curTranId] = { callbacks: callbacks, error: m.error, success: m.success };
-                    s_transIds[s_curTranId] = onMessage;
-
-                    // increment current id
-                    s_curTranId++;
-
-                    postMessage(msg, isReactNativeWebView); // Force post if RNWebView, or rely on 'ready' for browser contexts
+                    var iterator = {
+                        next: function() {
+                            return new Promise(function(resolve, reject) {
+                                waiting.push({ resolve: resolve, reject: reject });
+                                drain();
+                            });
+                        },
+                        'return': function(v) {
+                            if (!closed) {
+                                closed = true;
+                                updates = [ ];
+                                // tell the other end to stop, if it's still going
+                                if (!outcome) cancelTransaction(req.id, req.method);
+                                drain();
+                            }
+                            return Promise.resolve({ value: v, done: true });
+                        },
+                        // a promise for the result of the request
+                        result: function() {
+                            return new Promise(function(resolve, reject) {
+                                resultWaiting.push({ resolve: resolve, reject: reject });
+                                drain();
+                            });
+                        }
+                    };
+                    if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+                        iterator[Symbol.asyncIterator] = function() { return this; };
+                    }
+                    return iterator;
+                },
+                // the ids of the other peers on a broadcast channel
+                peers: function() {
+                    return peers.slice();
+                },
+                // our own id on a broadcast channel, null on any other sort of channel
+                peerId: function() {
+                    return peerId;
+                },
+                // the state of flow control, for debugging: how many of our requests are in flight and
+                // how many are queued, the credit window of each of our requests and how much credit we
+                // owe the other end, and for each request we're working on the credit we have left (null
+                // if unlimited) and how many callback invocations are waiting for more.
+                flowState: function() {
+                    var requests = { }, transactions = { };
+                    for (var k in outTbl) {
+                        if (outTbl.hasOwnProperty(k)) requests[k] = { sent: outTbl[k].sent, window: outTbl[k].window, unacked: outTbl[k].unacked };
+                    }
+                    for (k in inTbl) {
+                        if (inTbl.hasOwnProperty(k)) transactions[k] = inTbl[k].flowState();
+                    }
+                    return { maxInFlight: maxInFlight || null, inFlight: inFlight, queuedCalls: requestQueue.length,
+                             requests: requests, transactions: transactions };
                 },
                 notify: function(m) {
                     if (!m) throw 'missing arguments to notify function';
                     if (!m.method || typeof m.method !== 'string') throw "'method' argument to notify must be string";
 
                     // no need to go into any transaction table
-                    postMessage({ method: scopeMethod(m.method), params: m.params }, isReactNativeWebView); // Force post in RN
+                    postMessage({ method: scopeMethod(m.method), params: m.params }, false, m.transfer);
                 },
                 destroy: function () {
-                    s_removeBoundChan(cfg.window, cfg.origin, ((typeof cfg.scope === 'string') ? cfg.scope : ''));
-                    if (window.removeEventListener) {
-                        window.removeEventListener('message', onMessage, false);
-                        document.removeEventListener('message', onMessage, false);
-                    } else if(window.detachEvent) window.detachEvent('onmessage', onMessage);
+                    // send whatever was posted this tick, then let the other peers on a broadcast
+                    // channel know we're gone
+                    flushBatch();
+                    if (peerId) sendReady('bye');
+                    if (typeof transport.close === 'function') transport.close();
+                    if (transport.source) s_removeBoundChan(transport.source, origins, scope);
                     ready = false;
+                    structuredClone = false;
+                    taggedJSON = false;
+                    olderPeer = false;
+                    batching = false;
+                    requestQueue = [ ];
+                    chunking = false;
+                    codec = null;
+                    destroyed = true;
+                    s_global.clearTimeout(readyTimer);
+                    compressQueue = [ ];
+                    receiveQueue = [ ];
+                    for (var k in transfers) {
+                        if (transfers.hasOwnProperty(k)) s_global.clearTimeout(transfers[k].timer);
+                    }
+                    transfers = { };
+                    transferSize = 0;
+                    // requests still in progress will never be answered now, so they fail
+                    var abandoned = [ ];
+                    for (k in outTbl) {
+                        if (!outTbl.hasOwnProperty(k)) continue;
+                        abandoned.push(outTbl[k]);
+                        removeTransaction(k);
+                    }
+                    for (k in inTbl) {
+                        if (inTbl.hasOwnProperty(k)) s_global.clearTimeout(inTbl[k].timer);
+                    }
                     regTbl = { };
                     inTbl = { };
                     outTbl = { };
                     cfg.origin = null;
                     pendingQueue = [ ];
+                    inFlight = 0;
                     debug("channel destroyed");
                     chanId = "";
+                    for (var i = 0; i < abandoned.length; i++) {
+                        try {
+                            (1,abandoned[i].error)("destroyed", "channel destroyed before method '" + abandoned[i].method + "' completed");
+                        } catch (e) {
+                            debug("Exception executing destroy handler: " + e);
+                        }
+                    }
                 }
             };
 
-            // Bind the internal ready handler
-            obj.bind('__ready', onReady);
-
             // Initiate the ready handshake immediately after build.
             // Use setTimeout to ensure the current execution context completes.
-            // Force post in RNWebView context.
-            window.setTimeout(function () {
-                postMessage({ method: scopeMethod('__ready'), params: "ping" }, true);
+            readyTimer = s_global.setTimeout(function () {
+                sendReady('ping');
             }, 100);
             return obj;
         }
     };
+    return s_channel;
 })();
 
 // Add export for environments that support it (like Node.js or bundlers)
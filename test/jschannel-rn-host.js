@@ -0,0 +1,205 @@
+/*
+ * tests of jschannel-rn-host, the app side of a channel into a React Native
+ * WebView.  The WebView is a mock passing strings between the bridge and a
+ * pretend page, where channels are built on the ReactNativeWebView transport
+ * as they would be in the web content.  Run with `node test/jschannel-rn-host.js`.
+ */
+
+"use strict";
+
+var assert = require('assert');
+var Channel = require('../src/jschannel');
+var ChannelHost = require('../src/jschannel-rn-host');
+
+// the window of the web content inside the WebView.  what the app posts arrives as a message event
+// without a source, and what the page posts through ReactNativeWebView goes to the WebView's onMessage.
+function mockPage() {
+    var listeners = [ ];
+    var page = {
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        JSON: JSON,
+        console: console,
+        addEventListener: function(type, fn) { if (type === 'message') listeners.push(fn); },
+        removeEventListener: function(type, fn) {
+            var i = listeners.indexOf(fn);
+            if (i >= 0) listeners.splice(i, 1);
+        },
+        dispatchEvent: function(e) {
+            setTimeout(function() {
+                listeners.slice().forEach(function(fn) { fn(e); });
+            }, 0);
+        },
+        ReactNativeWebView: {
+            postMessage: function(data) {
+                assert.strictEqual(typeof data, 'string');
+                setTimeout(function() {
+                    if (page.onMessage) page.onMessage({ nativeEvent: { data: data } });
+                }, 0);
+            }
+        }
+    };
+    page.window = page;
+    return page;
+}
+
+// a WebView showing the page, with postMessage() unless 'inject' asks for injectJavaScript() instead
+function mockWebView(page, inject) {
+    var webView = { posted: 0 };
+    if (inject) {
+        webView.injectJavaScript = function(script) {
+            webView.posted++;
+            new Function('window', 'MessageEvent', script)(page, function(type, init) { this.type = type; this.data = init.data; });
+        };
+    } else {
+        webView.postMessage = function(data) {
+            assert.strictEqual(typeof data, 'string');
+            webView.posted++;
+            page.dispatchEvent({ data: data });
+        };
+    }
+    return webView;
+}
+
+// build both ends of some channels, with a bridge on 'target' (resolving to a WebView on 'page').
+// returns the page's channels and the app's, keyed by scope.
+function setup(page, target, scopes) {
+    Channel.configure({ global: page });
+    var bridge = ChannelHost.bridge(target);
+    page.onMessage = bridge.onMessage;
+    var ends = { page: { }, app: { }, bridge: bridge };
+    scopes.forEach(function(scope) {
+        ends.page[scope] = Channel.build({ transport: Channel.transports.reactNativeWebView(page.ReactNativeWebView), scope: scope });
+        ends.app[scope] = bridge.build({ scope: scope });
+    });
+    return ends;
+}
+
+function teardown(ends) {
+    Object.keys(ends.page).forEach(function(scope) {
+        ends.page[scope].destroy();
+        ends.app[scope].destroy();
+    });
+}
+
+var tests = [
+    function callsAreRoutedByScope() {
+        var page = mockPage();
+        var ends = setup(page, mockWebView(page), [ 'holdings', 'news' ]);
+        ends.page.holdings.bind('count', function() { return 'holdings'; });
+        ends.page.news.bind('count', function() { return 'news'; });
+        ends.app.news.bind('headline', function(trans, n) { return 'headline ' + n; });
+        return Promise.all([
+            ends.app.holdings.call({ method: 'count' }),
+            ends.app.news.call({ method: 'count' }),
+            ends.page.news.call({ method: 'headline', params: 1 })
+        ]).then(function(results) {
+            assert.deepStrictEqual(results, [ 'holdings', 'news', 'headline 1' ]);
+            teardown(ends);
+        });
+    },
+
+    function callbacksAndNotificationsReachTheApp() {
+        var page = mockPage();
+        var ends = setup(page, mockWebView(page), [ 'widget' ]);
+        var progress = [ ];
+        ends.page.widget.bind('load', function(trans, params) {
+            params.progress(50);
+            params.progress(100);
+            ends.page.widget.notify({ method: 'loaded', params: 'done' });
+            return 'ok';
+        });
+        var notified = new Promise(function(resolve) {
+            ends.app.widget.bind('loaded', function(ctx, params) { resolve(params); });
+        });
+        return ends.app.widget.call({ method: 'load', params: { progress: function(p) { progress.push(p); } } }).then(function(v) {
+            assert.strictEqual(v, 'ok');
+            assert.deepStrictEqual(progress, [ 50, 100 ]);
+            return notified;
+        }).then(function(v) {
+            assert.strictEqual(v, 'done');
+            teardown(ends);
+        });
+    },
+
+    function injectJavaScriptIsUsedWithoutPostMessage() {
+        var page = mockPage();
+        var webView = mockWebView(page, true);
+        var ends = setup(page, webView, [ 'widget' ]);
+        ends.page.widget.bind('echo', function(trans, s) { return s; });
+        var s = 'a "quoted" line\u2028separator';
+        return ends.app.widget.call({ method: 'echo', params: s }).then(function(v) {
+            assert.strictEqual(v, s);
+            assert.ok(webView.posted > 0);
+            teardown(ends);
+        });
+    },
+
+    function refsAreResolvedWhenSending() {
+        var page = mockPage();
+        var ref = { current: null };
+        var ends = setup(page, ref, [ 'widget' ]);
+        ref.current = mockWebView(page);
+        ends.page.widget.bind('ready', function() { return true; });
+        return ends.app.widget.call({ method: 'ready' }).then(function(v) {
+            assert.strictEqual(v, true);
+            assert.ok(ref.current.posted > 0);
+            teardown(ends);
+        });
+    },
+
+    function destroyedChannelsStopReceiving() {
+        var page = mockPage();
+        var ends = setup(page, mockWebView(page), [ 'widget' ]);
+        var heard = [ ];
+        var second = ends.bridge.build({ scope: 'other' });
+        ends.app.widget.bind('note', function(ctx, n) { heard.push(n); });
+        ends.app.widget.bind('heard', function() { return heard.slice(); });
+        second.destroy();
+        ends.page.widget.notify({ method: 'note', params: 1 });
+        return ends.page.widget.call({ method: 'heard' }).then(function(v) {
+            assert.deepStrictEqual(v, [ 1 ]);
+            ends.app.widget.destroy();
+            ends.page.widget.notify({ method: 'note', params: 2 });
+            return new Promise(function(resolve) { setTimeout(resolve, 50); });
+        }).then(function() {
+            assert.deepStrictEqual(heard, [ 1 ]);
+            ends.page.widget.destroy();
+        });
+    },
+
+    function scopesAreBoundOncePerBridge() {
+        var page = mockPage();
+        Channel.configure({ global: page });
+        var bridge = ChannelHost.bridge(mockWebView(page));
+        var first = bridge.build({ scope: 'widget' });
+        assert.throws(function() { bridge.build({ scope: 'widget' }); }, /already bound/);
+        // other scopes, and the same scope on another bridge, are fine
+        var other = bridge.build({ scope: 'other' });
+        var elsewhere = ChannelHost.bridge(mockWebView(page)).build({ scope: 'widget' });
+        first.destroy();
+        var again = bridge.build({ scope: 'widget' });
+        [ other, elsewhere, again ].forEach(function(c) { c.destroy(); });
+    },
+
+    function bridgeRequiresAWebView() {
+        assert.throws(function() { ChannelHost.bridge(); }, /without a valid WebView/);
+        assert.throws(function() { ChannelHost.bridge({ current: null }).build(); }, /without a config object/);
+    }
+];
+
+var failures = 0;
+tests.reduce(function(prev, test) {
+    return prev.then(function() {
+        return test();
+    }).then(function() {
+        console.log('ok - ' + test.name);
+    }, function(e) {
+        failures++;
+        console.log('not ok - ' + test.name);
+        console.log(e && e.stack || e);
+    });
+}, Promise.resolve()).then(function() {
+    console.log(tests.length - failures + ' of ' + tests.length + ' passed');
+    process.exit(failures ? 1 : 0);
+});